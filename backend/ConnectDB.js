@@ -36,7 +36,7 @@ const connectToPostgresSQL = () => {
 // MongoDb connection
 
 const connectToMongo = () =>{
-    mongoose.connect("mongodb://localhost:27017/bot-partner" , {
+    mongoose.connect(process.env.MONGO_URI || "mongodb://localhost:27017/bot-partner" , {
         useNewUrlParser : true ,
         useUnifiedTopology : true ,
     })
@@ -0,0 +1,205 @@
+const { connectToPostgresSQL } = require('../ConnectDB');
+
+// Role-based access control. Every user can read and change their own data;
+// a role only adds access to other users' data inside the same organization:
+//   client     - own data only
+//   advisor    - reads and annotates portfolios of clients assigned to them
+//   compliance - read-only: every portfolio and document in the organization,
+//                plus the audit views; cannot upload, change or delete anything
+//   admin      - manages roles and advisor-client assignments (the user who
+//                created the organization starts as admin)
+// Roles are carried in the access token, so a role change applies from the
+// user's next token refresh.
+
+const ROLES = ['client', 'advisor', 'compliance', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  client: ['data:write'],
+  advisor: ['data:write', 'portfolios:read:assigned', 'portfolios:annotate:assigned'],
+  compliance: ['portfolios:read:organization', 'documents:read:organization', 'users:read', 'audit:read'],
+  admin: ['data:write', 'users:read', 'users:manage']
+};
+
+// Function to check whether a user's role grants a permission
+function hasPermission(user, permission) {
+  return Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+// Function to add the role column and the advisor-client assignment table
+async function initializeAccessTables() {
+  const pool = connectToPostgresSQL();
+  try {
+    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'client'`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS advisor_clients (
+        advisor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        assigned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (advisor_id, client_id)
+      )`);
+  } catch (error) {
+    console.error('Error initializing access tables:', error);
+    throw error;
+  }
+}
+
+// Function to check whether a client is assigned to an advisor
+async function isAssignedClient(advisorId, clientId) {
+  const pool = connectToPostgresSQL();
+  const result = await pool.query(
+    'SELECT 1 FROM advisor_clients WHERE advisor_id = $1 AND client_id = $2',
+    [advisorId, clientId]
+  );
+  return result.rows.length > 0;
+}
+
+async function getUserOrgId(userId) {
+  const pool = connectToPostgresSQL();
+  const result = await pool.query('SELECT org_id FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].org_id : null;
+}
+
+// Function to decide whether `user` may read data owned by `ownerId`.
+// ownerOrgId can be passed when the record already stores it.
+async function canViewUserData(user, ownerId, ownerOrgId) {
+  if (!user || !ownerId) {
+    return false;
+  }
+  if (user.id === ownerId) {
+    return true;
+  }
+  if (hasPermission(user, 'portfolios:read:organization') && user.orgId) {
+    const orgId = ownerOrgId || await getUserOrgId(ownerId);
+    if (orgId === user.orgId) {
+      return true;
+    }
+  }
+  if (hasPermission(user, 'portfolios:read:assigned')) {
+    return isAssignedClient(user.id, ownerId);
+  }
+  return false;
+}
+
+// Function to decide whether `user` may annotate data owned by `ownerId`
+async function canAnnotateUserData(user, ownerId) {
+  return hasPermission(user, 'portfolios:annotate:assigned') && isAssignedClient(user.id, ownerId);
+}
+
+// Function to list users in an organization with their roles
+async function listOrganizationUsers(orgId) {
+  const pool = connectToPostgresSQL();
+  const result = await pool.query(
+    'SELECT id, email, name, role, created_at FROM users WHERE org_id = $1 ORDER BY created_at',
+    [orgId]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    createdAt: row.created_at
+  }));
+}
+
+async function getOrganizationUser(userId, orgId) {
+  const pool = connectToPostgresSQL();
+  const result = await pool.query('SELECT id, role FROM users WHERE id = $1 AND org_id = $2', [userId, orgId]);
+  return result.rows[0] || null;
+}
+
+// Function to change a user's role within an organization
+async function setUserRole(userId, role, orgId) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  const pool = connectToPostgresSQL();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'UPDATE users SET role = $1 WHERE id = $2 AND org_id = $3 RETURNING id',
+      [role, userId, orgId]
+    );
+    // Only a user of this organization loses their client assignments
+    const updated = result.rows.length > 0;
+    if (updated && role !== 'advisor') {
+      await client.query('DELETE FROM advisor_clients WHERE advisor_id = $1', [userId]);
+    }
+    await client.query('COMMIT');
+    return updated;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating user role:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Function to list the clients assigned to an advisor
+async function listAssignedClients(advisorId) {
+  const pool = connectToPostgresSQL();
+  const result = await pool.query(
+    `SELECT users.id, users.email, users.name, advisor_clients.created_at
+       FROM advisor_clients JOIN users ON users.id = advisor_clients.client_id
+      WHERE advisor_clients.advisor_id = $1
+      ORDER BY users.email`,
+    [advisorId]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    assignedAt: row.created_at
+  }));
+}
+
+// Function to assign a client to an advisor. Both must belong to orgId and
+// have the advisor and client roles. Returns an error message or null.
+async function assignClient(advisorId, clientId, orgId, assignedBy) {
+  const [advisor, client] = await Promise.all([
+    getOrganizationUser(advisorId, orgId),
+    getOrganizationUser(clientId, orgId)
+  ]);
+  if (!advisor || advisor.role !== 'advisor') {
+    return 'Advisor not found in this organization';
+  }
+  if (!client || client.role !== 'client') {
+    return 'Client not found in this organization';
+  }
+
+  const pool = connectToPostgresSQL();
+  await pool.query(
+    `INSERT INTO advisor_clients (advisor_id, client_id, assigned_by) VALUES ($1, $2, $3)
+     ON CONFLICT (advisor_id, client_id) DO NOTHING`,
+    [advisorId, clientId, assignedBy]
+  );
+  return null;
+}
+
+// Function to remove an advisor-client assignment
+async function unassignClient(advisorId, clientId) {
+  const pool = connectToPostgresSQL();
+  const result = await pool.query(
+    'DELETE FROM advisor_clients WHERE advisor_id = $1 AND client_id = $2',
+    [advisorId, clientId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  initializeAccessTables,
+  isAssignedClient,
+  canViewUserData,
+  canAnnotateUserData,
+  listOrganizationUsers,
+  getOrganizationUser,
+  setUserRole,
+  listAssignedClients,
+  assignClient,
+  unassignClient
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { createObjectCsvStringifier } = require('csv-writer');
+const { connectToPostgresSQL } = require('../ConnectDB');
+
+// Append-only audit log of AI interactions, stored in PostgreSQL. Every entry
+// records who asked, which model answered, the full prompts, the retrieved
+// chunks, the raw output and the compliance result. A trigger rejects UPDATE,
+// DELETE and TRUNCATE, and each entry stores
+//   hash = sha256(previous hash + canonical JSON of the entry)
+// so editing or removing a row directly in the database breaks the chain,
+// which verifyAuditChain() reports.
+
+const GENESIS_HASH = '0'.repeat(64);
+// Arbitrary constant for pg_advisory_xact_lock; serializes appends so the chain stays linear
+const AUDIT_LOCK_KEY = 7311;
+
+const HASHED_FIELDS = [
+  'createdAt', 'userId', 'orgId', 'action', 'model', 'prompt', 'llmCalls',
+  'retrieved', 'rawOutput', 'finalOutput', 'compliance', 'metadata'
+];
+
+// JSON with object keys sorted, so the hash does not depend on key order
+// (PostgreSQL jsonb does not preserve it)
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashEntry(previousHash, entry) {
+  const content = {};
+  HASHED_FIELDS.forEach(field => {
+    content[field] = entry[field] ?? null;
+  });
+  return crypto.createHash('sha256').update(previousHash + canonicalJson(content)).digest('hex');
+}
+
+// Function to create the audit table and the trigger that makes it append-only
+async function initializeAuditLog() {
+  const pool = connectToPostgresSQL();
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        seq BIGSERIAL PRIMARY KEY,
+        created_at TIMESTAMPTZ NOT NULL,
+        user_id TEXT NOT NULL,
+        org_id TEXT,
+        action TEXT NOT NULL,
+        model TEXT,
+        prompt TEXT,
+        llm_calls JSONB,
+        retrieved JSONB,
+        raw_output TEXT,
+        final_output TEXT,
+        compliance JSONB,
+        metadata JSONB,
+        prev_hash CHAR(64) NOT NULL,
+        hash CHAR(64) NOT NULL
+      )`);
+    await pool.query('CREATE INDEX IF NOT EXISTS audit_log_org_created ON audit_log (org_id, created_at)');
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION audit_log_reject_change() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql`);
+    await pool.query('DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log');
+    await pool.query(`
+      CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_reject_change()`);
+    await pool.query('DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log');
+    await pool.query(`
+      CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_reject_change()`);
+  } catch (error) {
+    console.error('Error initializing audit log:', error);
+    throw error;
+  }
+}
+
+// Function to wrap an LLM client so every prompt and output it handles is
+// collected in `calls` (follow-up rewriting, re-ranking and the answer itself)
+function recordLLMCalls(llm) {
+  const calls = [];
+  const recorder = {
+    ...llm,
+    calls,
+    async generate(prompt) {
+      const output = await llm.generate(prompt);
+      calls.push({ prompt, output });
+      return output;
+    },
+    async *stream(prompt, options) {
+      const call = { prompt, output: '' };
+      calls.push(call);
+      for await (const event of llm.stream(prompt, options)) {
+        if (event.delta) {
+          call.output += event.delta;
+        } else if (event.usage) {
+          call.usage = event.usage;
+        }
+        yield event;
+      }
+    }
+  };
+  return recorder;
+}
+
+// Function to describe retrieved chunks for the audit trail
+function describeRetrievedChunks(chunks) {
+  return chunks.map(chunk => ({
+    id: chunk.id,
+    documentId: chunk.documentId ?? null,
+    version: chunk.version ?? null,
+    filename: chunk.filename,
+    chunkId: chunk.chunkId,
+    page: chunk.page ?? null,
+    score: chunk.score,
+    retrievalScore: chunk.retrievalScore ?? null,
+    ranks: chunk.ranks || null
+  }));
+}
+
+// Function to append an entry. entry: { user, action, llm, llmCalls, prompt,
+// retrieved, rawOutput, finalOutput, compliance, metadata }. prompt and
+// rawOutput default to the last recorded LLM call.
+async function recordAuditEntry(entry) {
+  const calls = entry.llmCalls || [];
+  const lastCall = calls[calls.length - 1] || {};
+  const record = {
+    createdAt: new Date().toISOString(),
+    userId: entry.user?.id || 'anonymous',
+    orgId: entry.user?.orgId || null,
+    action: entry.action,
+    model: entry.llm ? `${entry.llm.provider}/${entry.llm.model}` : null,
+    prompt: entry.prompt ?? lastCall.prompt ?? null,
+    llmCalls: calls,
+    retrieved: entry.retrieved || [],
+    rawOutput: entry.rawOutput ?? lastCall.output ?? null,
+    finalOutput: entry.finalOutput ?? null,
+    compliance: entry.compliance || null,
+    metadata: entry.metadata || {}
+  };
+
+  const pool = connectToPostgresSQL();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_LOCK_KEY]);
+
+    const last = await client.query('SELECT hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+    const prevHash = last.rows.length > 0 ? last.rows[0].hash : GENESIS_HASH;
+    const hash = hashEntry(prevHash, record);
+
+    const result = await client.query(
+      `INSERT INTO audit_log (created_at, user_id, org_id, action, model, prompt, llm_calls, retrieved,
+                              raw_output, final_output, compliance, metadata, prev_hash, hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING seq`,
+      [
+        record.createdAt, record.userId, record.orgId, record.action, record.model, record.prompt,
+        JSON.stringify(record.llmCalls), JSON.stringify(record.retrieved), record.rawOutput,
+        record.finalOutput, JSON.stringify(record.compliance), JSON.stringify(record.metadata),
+        prevHash, hash
+      ]
+    );
+
+    await client.query('COMMIT');
+    return { seq: Number(result.rows[0].seq), hash };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error writing audit entry:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function toAuditEntry(row) {
+  return {
+    seq: Number(row.seq),
+    createdAt: new Date(row.created_at).toISOString(),
+    userId: row.user_id,
+    orgId: row.org_id,
+    action: row.action,
+    model: row.model,
+    prompt: row.prompt,
+    llmCalls: row.llm_calls,
+    retrieved: row.retrieved,
+    rawOutput: row.raw_output,
+    finalOutput: row.final_output,
+    compliance: row.compliance,
+    metadata: row.metadata,
+    prevHash: row.prev_hash,
+    hash: row.hash
+  };
+}
+
+// Function to search audit entries of an organization.
+// filters: { userId, action, complianceStatus, from, to, q, limit, offset }
+async function searchAuditEntries(orgId, filters = {}) {
+  const conditions = ['org_id = $1'];
+  const params = [orgId];
+  // Every "?" in sql refers to the same new parameter
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (filters.userId) {
+    add('user_id = ?', filters.userId);
+  }
+  if (filters.action) {
+    add('action = ?', filters.action);
+  }
+  if (filters.complianceStatus) {
+    add(`compliance->>'status' = ?`, filters.complianceStatus);
+  }
+  if (filters.from) {
+    add('created_at >= ?', filters.from);
+  }
+  if (filters.to) {
+    add('created_at <= ?', filters.to);
+  }
+  if (filters.q) {
+    add('(prompt ILIKE ? OR raw_output ILIKE ? OR final_output ILIKE ?)', `%${filters.q}%`);
+  }
+
+  const limit = Math.min(parseInt(filters.limit, 10) || 50, 1000);
+  const offset = parseInt(filters.offset, 10) || 0;
+
+  const pool = connectToPostgresSQL();
+  const where = conditions.join(' AND ');
+  const [rows, count] = await Promise.all([
+    pool.query(
+      `SELECT * FROM audit_log WHERE ${where} ORDER BY seq DESC LIMIT ${limit} OFFSET ${offset}`,
+      params
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM audit_log WHERE ${where}`, params)
+  ]);
+
+  return {
+    total: Number(count.rows[0].total),
+    entries: rows.rows.map(toAuditEntry)
+  };
+}
+
+// Function to fetch one entry of an organization by sequence number
+async function getAuditEntry(seq, orgId) {
+  const pool = connectToPostgresSQL();
+  const result = await pool.query('SELECT * FROM audit_log WHERE seq = $1 AND org_id = $2', [seq, orgId]);
+  return result.rows.length > 0 ? toAuditEntry(result.rows[0]) : null;
+}
+
+// Function to recompute the hash chain from the first entry. Returns
+// { valid, checked, brokenAt } where brokenAt is the first bad sequence number.
+async function verifyAuditChain() {
+  const pool = connectToPostgresSQL();
+  const batchSize = 1000;
+  let previousHash = GENESIS_HASH;
+  let lastSeq = 0;
+  let checked = 0;
+
+  for (;;) {
+    const result = await pool.query(
+      'SELECT * FROM audit_log WHERE seq > $1 ORDER BY seq LIMIT $2',
+      [lastSeq, batchSize]
+    );
+    for (const row of result.rows) {
+      const entry = toAuditEntry(row);
+      if (entry.prevHash !== previousHash || hashEntry(previousHash, entry) !== entry.hash) {
+        return { valid: false, checked, brokenAt: entry.seq };
+      }
+      previousHash = entry.hash;
+      lastSeq = entry.seq;
+      checked++;
+    }
+    if (result.rows.length < batchSize) {
+      return { valid: true, checked, brokenAt: null };
+    }
+  }
+}
+
+// Function to render audit entries as CSV (JSON columns are serialized)
+function auditEntriesToCsv(entries) {
+  const columns = ['seq', 'createdAt', 'userId', 'orgId', 'action', 'model', 'prompt', 'rawOutput',
+    'finalOutput', 'complianceStatus', 'retrieved', 'llmCalls', 'compliance', 'metadata', 'prevHash', 'hash'];
+  const csv = createObjectCsvStringifier({
+    header: columns.map(column => ({ id: column, title: column }))
+  });
+
+  const records = entries.map(entry => ({
+    ...entry,
+    complianceStatus: entry.compliance ? entry.compliance.status : '',
+    retrieved: JSON.stringify(entry.retrieved),
+    llmCalls: JSON.stringify(entry.llmCalls),
+    compliance: JSON.stringify(entry.compliance),
+    metadata: JSON.stringify(entry.metadata)
+  }));
+
+  return csv.getHeaderString() + csv.stringifyRecords(records);
+}
+
+module.exports = {
+  canonicalJson,
+  initializeAuditLog,
+  recordLLMCalls,
+  describeRetrievedChunks,
+  recordAuditEntry,
+  searchAuditEntries,
+  getAuditEntry,
+  verifyAuditChain,
+  auditEntriesToCsv
+};
@@ -0,0 +1,565 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const mongoose = require('mongoose');
+const BrokerMapping = require('../models/brokerMappingModel');
+
+// Broker CSV adapters. Each adapter recognizes an export by its header
+// signature and maps its rows into the canonical shape the rest of the
+// pipeline reads:
+//   holdings     - symbol, quantity, purchase_price (or cost_basis, the total
+//                  cost), and optionally asset_type, sector, purchase_date,
+//                  currency, name, isin
+//   transactions - date, type, symbol, quantity, price, fees, amount, ratio,
+//                  lot_id, currency (see transactionLedger)
+// Headers are matched after lowercasing and turning every run of other
+// characters into "_", so "Avg. cost" is avg_cost and "Price ($)" is price.
+// A column may list alternative headers; the first one present is used.
+// Amounts accept currency symbols, Indian lakh grouping (1,23,456.50) and
+// parentheses for negatives; dates are read in the adapter's dateFormat.
+// Rows without a currency column get the adapter's currency, if it has one.
+// Users can save their own column mappings, which are tried before the
+// built-in adapters.
+
+const HEADER_SEARCH_LINES = 30;
+const DATE_FORMATS = ['DMY', 'MDY', 'YMD'];
+const NUMERIC_FIELDS = ['quantity', 'purchase_price', 'cost_basis', 'price', 'fees', 'amount'];
+const DATE_FIELDS = ['date', 'purchase_date'];
+const REQUIRED_COLUMNS = {
+  holdings: ['symbol', 'quantity'],
+  transactions: ['date', 'type', 'symbol', 'quantity']
+};
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Function to read an amount such as "₹1,23,456.50", "$1,234.56",
+// "(12.50)" or "-$3" as a number. Null for blanks and placeholders like "--".
+function parseAmount(value) {
+  let text = String(value ?? '').trim();
+  if (!text || /^(-+|n\/?a|nil)$/i.test(text)) {
+    return null;
+  }
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  text = text.replace(/^(rs\.?|inr|usd)\s*/i, '').replace(/[₹$€£,\s%]/g, '');
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+  text = text.replace(/^\+/, '');
+  const number = /^\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+  if (Number.isNaN(number)) {
+    return NaN;
+  }
+  return negative ? -number : number;
+}
+
+// Function to read a date as YYYY-MM-DD. ISO dates and month names
+// ("15-Jun-2020", "Jun 15, 2020") are always understood; all-numeric dates
+// are read in `format` order (DMY, MDY or YMD). Trailing text such as
+// Schwab's "as of 03/14/2024" or a time is ignored.
+function parseDate(value, format = 'DMY') {
+  const text = String(value ?? '').trim().toLowerCase();
+  const pad = number => String(number).padStart(2, '0');
+  const build = (year, month, day) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const date = new Date(Date.UTC(fullYear, month - 1, day));
+    return month >= 1 && month <= 12 && date.getUTCDate() === day ? `${fullYear}-${pad(month)}-${pad(day)}` : null;
+  };
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return build(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  match = text.match(/^(\d{1,2})[\s/-]([a-z]{3})[a-z]*[\s/-](\d{2,4})/);
+  if (match && MONTHS.includes(match[2])) {
+    return build(Number(match[3]), MONTHS.indexOf(match[2]) + 1, Number(match[1]));
+  }
+  match = text.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && MONTHS.includes(match[1])) {
+    return build(Number(match[3]), MONTHS.indexOf(match[1]) + 1, Number(match[2]));
+  }
+  match = text.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})/);
+  if (match) {
+    const [a, b, c] = match.slice(1).map(Number);
+    if (format === 'YMD' || match[1].length === 4) {
+      return build(a, b, c);
+    }
+    return format === 'MDY' ? build(c, a, b) : build(c, b, a);
+  }
+  return null;
+}
+
+// Rows that are totals, cash sweeps or notes rather than positions
+const isSummaryRow = symbol => /^(account total|total|cash & cash investments|pending activity)$/i.test(symbol)
+  || /\*\*$/.test(symbol);
+
+// Fidelity describes every transaction in one sentence
+function fidelityActionType(action) {
+  const text = String(action || '').toUpperCase();
+  if (/^YOU BOUGHT|^REINVESTMENT/.test(text)) {
+    return 'buy';
+  }
+  if (/^YOU SOLD/.test(text)) {
+    return 'sell';
+  }
+  return /DIVIDEND RECEIVED/.test(text) ? 'dividend' : null;
+}
+
+const builtInAdapters = [
+  {
+    id: 'canonical',
+    name: 'Standard holdings (symbol, quantity, purchase_price)',
+    kind: 'holdings',
+    signature: ['symbol', 'quantity', 'purchase_price'],
+    // Other columns are kept as they are
+    passThrough: true,
+    columns: {
+      symbol: 'symbol',
+      quantity: 'quantity',
+      purchase_price: 'purchase_price',
+      asset_type: 'asset_type',
+      sector: 'sector',
+      purchase_date: 'purchase_date',
+      currency: 'currency'
+    }
+  },
+  {
+    id: 'canonical-transactions',
+    name: 'Standard transactions (date, type, symbol, quantity, price)',
+    kind: 'transactions',
+    signature: ['date', 'type', 'symbol', 'quantity'],
+    passThrough: true,
+    columns: {
+      date: 'date',
+      type: 'type',
+      symbol: 'symbol',
+      quantity: 'quantity',
+      price: 'price',
+      fees: 'fees',
+      amount: 'amount',
+      ratio: 'ratio',
+      lot_id: 'lot_id',
+      asset_type: 'asset_type',
+      currency: 'currency'
+    }
+  },
+  {
+    id: 'zerodha-console',
+    name: 'Zerodha Console holdings',
+    kind: 'holdings',
+    currency: 'INR',
+    signature: ['symbol', 'isin', 'quantity_available', 'average_price'],
+    columns: {
+      symbol: 'symbol',
+      isin: 'isin',
+      sector: 'sector',
+      purchase_price: 'average_price'
+    },
+    // Pledged units are still owned
+    transform(row, record) {
+      const quantity = ['quantity_available', 'quantity_pledged_margin', 'quantity_pledged_loan']
+        .reduce((sum, header) => sum + (parseAmount(record[header]) || 0), 0);
+      return { ...row, quantity: String(quantity) };
+    }
+  },
+  {
+    id: 'zerodha-kite',
+    name: 'Zerodha Kite holdings',
+    kind: 'holdings',
+    currency: 'INR',
+    signature: ['instrument', 'qty', 'avg_cost'],
+    columns: {
+      symbol: 'instrument',
+      quantity: 'qty',
+      purchase_price: 'avg_cost'
+    }
+  },
+  {
+    id: 'zerodha-tradebook',
+    name: 'Zerodha tradebook',
+    kind: 'transactions',
+    currency: 'INR',
+    signature: ['symbol', 'trade_date', 'trade_type', 'quantity', 'price', 'trade_id'],
+    dateFormat: 'YMD',
+    columns: {
+      date: 'trade_date',
+      type: 'trade_type',
+      symbol: 'symbol',
+      quantity: 'quantity',
+      price: 'price'
+    }
+  },
+  {
+    id: 'groww',
+    name: 'Groww holdings',
+    kind: 'holdings',
+    currency: 'INR',
+    signature: ['stock_name', 'isin', 'quantity', 'average_buy_price'],
+    // Groww exports carry no ticker, so the stock name stands in for it; a
+    // saved mapping can point symbol at another column
+    columns: {
+      symbol: 'stock_name',
+      name: 'stock_name',
+      isin: 'isin',
+      quantity: 'quantity',
+      purchase_price: 'average_buy_price'
+    }
+  },
+  {
+    id: 'upstox',
+    name: 'Upstox holdings',
+    kind: 'holdings',
+    currency: 'INR',
+    signature: ['company_name', 'isin', ['qty', 'quantity'], ['avg_price', 'average_price']],
+    columns: {
+      symbol: ['symbol', 'trading_symbol', 'company_name'],
+      name: 'company_name',
+      isin: 'isin',
+      quantity: ['qty', 'quantity'],
+      purchase_price: ['avg_price', 'average_price']
+    }
+  },
+  {
+    id: 'schwab-positions',
+    name: 'Charles Schwab positions',
+    kind: 'holdings',
+    currency: 'USD',
+    signature: ['symbol', 'description', ['quantity', 'qty_quantity'], ['cost_basis', 'cost_basis_cb'], ['security_type', 'asset_type']],
+    columns: {
+      symbol: 'symbol',
+      name: 'description',
+      quantity: ['quantity', 'qty_quantity'],
+      cost_basis: ['cost_basis', 'cost_basis_cb'],
+      asset_type: ['security_type', 'asset_type']
+    }
+  },
+  {
+    id: 'schwab-transactions',
+    name: 'Charles Schwab transactions',
+    kind: 'transactions',
+    currency: 'USD',
+    signature: ['date', 'action', 'symbol', 'quantity', 'price', ['fees_comm', 'fees_commissions'], 'amount'],
+    dateFormat: 'MDY',
+    columns: {
+      date: 'date',
+      type: 'action',
+      symbol: 'symbol',
+      quantity: 'quantity',
+      price: 'price',
+      fees: ['fees_comm', 'fees_commissions'],
+      amount: 'amount'
+    },
+    // Splits are reported as added shares rather than a ratio, so they are
+    // left out along with transfers and interest
+    typeValues: {
+      buy: 'buy',
+      'reinvest shares': 'buy',
+      sell: 'sell',
+      'qualified dividend': 'dividend',
+      'cash dividend': 'dividend',
+      'non-qualified div': 'dividend'
+    }
+  },
+  {
+    id: 'fidelity-positions',
+    name: 'Fidelity positions',
+    kind: 'holdings',
+    currency: 'USD',
+    signature: ['account_number', 'symbol', 'quantity', 'current_value', ['average_cost_basis', 'cost_basis_per_share']],
+    columns: {
+      symbol: 'symbol',
+      name: 'description',
+      quantity: 'quantity',
+      purchase_price: ['average_cost_basis', 'cost_basis_per_share'],
+      cost_basis: ['cost_basis_total', 'cost_basis']
+    }
+  },
+  {
+    id: 'fidelity-activity',
+    name: 'Fidelity account history',
+    kind: 'transactions',
+    currency: 'USD',
+    signature: ['run_date', 'action', 'symbol', 'quantity', 'price', 'amount'],
+    dateFormat: 'MDY',
+    columns: {
+      date: 'run_date',
+      symbol: 'symbol',
+      quantity: 'quantity',
+      price: 'price',
+      amount: 'amount'
+    },
+    transform(row, record) {
+      const type = fidelityActionType(record.action);
+      if (!type) {
+        return null;
+      }
+      const fees = (parseAmount(record.commission) || 0) + (parseAmount(record.fees) || 0);
+      return { ...row, type, fees: String(fees) };
+    }
+  }
+];
+
+const adapters = [...builtInAdapters];
+
+// Function to add an adapter to the registry, e.g. for another broker
+function registerAdapter(adapter) {
+  if (!adapter.id || !REQUIRED_COLUMNS[adapter.kind] || !Array.isArray(adapter.signature) || !adapter.columns) {
+    throw new Error('An adapter needs an id, a kind (holdings or transactions), a signature and columns');
+  }
+  const existing = adapters.findIndex(candidate => candidate.id === adapter.id);
+  if (existing !== -1) {
+    adapters.splice(existing, 1);
+  }
+  adapters.push(adapter);
+  return adapter;
+}
+
+function listAdapters() {
+  return adapters.map(({ id, name, kind, signature }) => ({ id, name, kind, signature }));
+}
+
+// Function to check whether every signature entry (a header, or a list of
+// alternatives) is among the headers
+function matchesSignature(adapter, headers) {
+  const present = new Set(headers);
+  return adapter.signature.every(entry => (Array.isArray(entry) ? entry : [entry]).some(header => present.has(header)));
+}
+
+// Function to pick the adapter for a header row. Saved mappings win, then
+// the built-in adapter with the most specific signature.
+function detectAdapter(headers, savedAdapters = []) {
+  const saved = savedAdapters.find(adapter => matchesSignature(adapter, headers));
+  if (saved) {
+    return saved;
+  }
+  return adapters
+    .filter(adapter => matchesSignature(adapter, headers))
+    .sort((a, b) => b.signature.length - a.signature.length)[0] || null;
+}
+
+// Function to validate a custom column mapping. Returns a list of errors.
+function validateMapping(mapping) {
+  const errors = [];
+  const kind = mapping.kind || 'holdings';
+  const columns = mapping.columns || {};
+
+  if (!REQUIRED_COLUMNS[kind]) {
+    errors.push('kind must be "holdings" or "transactions"');
+    return errors;
+  }
+  REQUIRED_COLUMNS[kind].forEach(field => {
+    if (!columns[field]) {
+      errors.push(`columns.${field} is required`);
+    }
+  });
+  if (kind === 'holdings' && !columns.purchase_price && !columns.cost_basis) {
+    errors.push('columns.purchase_price or columns.cost_basis is required');
+  }
+  if (mapping.dateFormat && !DATE_FORMATS.includes(mapping.dateFormat)) {
+    errors.push(`dateFormat must be one of: ${DATE_FORMATS.join(', ')}`);
+  }
+  return errors;
+}
+
+// Function to turn a custom column mapping into an adapter
+function createMappingAdapter(mapping) {
+  const columns = {};
+  Object.entries(mapping.columns instanceof Map ? Object.fromEntries(mapping.columns) : mapping.columns)
+    .forEach(([field, header]) => {
+      columns[field] = normalizeHeader(header);
+    });
+  const typeValues = mapping.typeValues instanceof Map ? Object.fromEntries(mapping.typeValues) : mapping.typeValues;
+
+  return {
+    id: `mapping:${mapping.name}`,
+    name: mapping.name,
+    kind: mapping.kind || 'holdings',
+    signature: Object.values(columns),
+    dateFormat: mapping.dateFormat || 'DMY',
+    columns,
+    typeValues: typeValues || undefined
+  };
+}
+
+// Function to map one parsed CSV record (normalized headers) through an
+// adapter. Returns null for rows to skip, such as totals.
+function mapRecord(adapter, record) {
+  const pick = candidates => {
+    const header = (Array.isArray(candidates) ? candidates : [candidates])
+      .find(candidate => record[candidate] !== undefined && String(record[candidate]).trim() !== '');
+    return header ? String(record[header]).trim() : undefined;
+  };
+
+  const row = adapter.passThrough ? { ...record } : {};
+  Object.entries(adapter.columns).forEach(([field, candidates]) => {
+    const value = pick(candidates);
+    if (value === undefined) {
+      return;
+    }
+    if (NUMERIC_FIELDS.includes(field)) {
+      const number = parseAmount(value);
+      // Unreadable numbers are passed on as-is for validation to report
+      row[field] = number === null ? undefined : Number.isNaN(number) ? value : String(number);
+    } else if (DATE_FIELDS.includes(field)) {
+      row[field] = parseDate(value, adapter.dateFormat) || value;
+    } else {
+      row[field] = value;
+    }
+  });
+
+  if (!row.symbol || isSummaryRow(row.symbol)) {
+    return null;
+  }
+  row.symbol = row.symbol.toUpperCase();
+
+  if (row.type !== undefined && adapter.typeValues) {
+    const type = adapter.typeValues[row.type.toLowerCase()];
+    if (!type) {
+      return null;
+    }
+    row.type = type;
+  }
+  if (adapter.kind === 'transactions' && row.quantity !== undefined && !Number.isNaN(Number(row.quantity))) {
+    // Some brokers sign sell quantities; the type already says which way
+    row.quantity = String(Math.abs(Number(row.quantity)));
+  }
+
+  const mapped = adapter.transform ? adapter.transform(row, record) : row;
+  if (mapped && !mapped.currency && adapter.currency) {
+    mapped.currency = adapter.currency;
+  }
+  if (mapped && mapped.purchase_price === undefined && mapped.cost_basis !== undefined && Number(mapped.quantity) > 0) {
+    mapped.purchase_price = String(Number(mapped.cost_basis) / Number(mapped.quantity));
+  }
+  return mapped;
+}
+
+// Split one CSV line into fields, honouring quotes
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// Function to read a broker export. Title lines above the header row (as in
+// Schwab exports) are skipped. Options:
+//   broker         - adapter id to use instead of detecting one
+//   mapping        - a custom column mapping to use
+//   savedMappings  - the user's saved mappings, tried before built-in adapters
+// Returns { adapter, rows } with canonical rows; when nothing matches, adapter
+// is null and rows keep their own (normalized) headers.
+async function readBrokerFile(filePath, options = {}) {
+  let forced = null;
+  if (options.mapping) {
+    forced = createMappingAdapter(options.mapping);
+  } else if (options.broker) {
+    forced = adapters.find(adapter => adapter.id === options.broker);
+    if (!forced) {
+      throw new Error(`Unknown broker format "${options.broker}"`);
+    }
+  }
+  const savedAdapters = (options.savedMappings || []).map(createMappingAdapter);
+
+  const lines = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/).slice(0, HEADER_SEARCH_LINES);
+  let headerLine = 0;
+  let adapter = null;
+  for (let i = 0; i < lines.length && !adapter; i++) {
+    const headers = splitCsvLine(lines[i]).map(normalizeHeader);
+    adapter = forced ? (matchesSignature(forced, headers) ? forced : null) : detectAdapter(headers, savedAdapters);
+    if (adapter) {
+      headerLine = i;
+    }
+  }
+  if (forced && !adapter) {
+    throw new Error(`The file does not have the columns ${forced.name} expects: ${forced.signature.flat().join(', ')}`);
+  }
+
+  const records = await new Promise((resolve, reject) => {
+    const results = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ skipLines: headerLine, mapHeaders: ({ header }) => normalizeHeader(header) }))
+      .on('data', data => results.push(data))
+      .on('end', () => resolve(results))
+      .on('error', reject);
+  });
+
+  if (!adapter) {
+    return { adapter: null, rows: records };
+  }
+  return {
+    adapter: { id: adapter.id, name: adapter.name, kind: adapter.kind },
+    rows: records.map(record => mapRecord(adapter, record)).filter(Boolean)
+  };
+}
+
+// Function to check whether the MongoDB mapping store is usable
+function isMappingStoreReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Function to list a user's saved mappings
+async function listSavedMappings(userId) {
+  return BrokerMapping.find({ userId }).sort({ name: 1 }).lean();
+}
+
+// Function to create or replace a user's mapping of the same name
+async function saveMapping(userId, mapping) {
+  return BrokerMapping.findOneAndUpdate(
+    { userId, name: mapping.name },
+    {
+      userId,
+      name: mapping.name,
+      kind: mapping.kind || 'holdings',
+      columns: mapping.columns,
+      dateFormat: mapping.dateFormat || 'DMY',
+      typeValues: mapping.typeValues || undefined
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+async function deleteMapping(userId, name) {
+  const result = await BrokerMapping.deleteOne({ userId, name });
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  normalizeHeader,
+  parseAmount,
+  parseDate,
+  registerAdapter,
+  listAdapters,
+  detectAdapter,
+  validateMapping,
+  createMappingAdapter,
+  mapRecord,
+  readBrokerFile,
+  isMappingStoreReady,
+  listSavedMappings,
+  saveMapping,
+  deleteMapping
+};
@@ -0,0 +1,300 @@
+// Structure-aware chunker for financial documents.
+// Text is read line by line into headings, table rows and paragraphs.
+// Paragraphs are split into sentences without breaking decimals ("$1.25",
+// "7.5% p.a.") or common abbreviations. Table rows are never split. Units are
+// then packed into chunks sized in tokens, and a chunk never spans two sections
+// or two pages. Every chunk keeps the character offsets it came from.
+
+// Abbreviations that end with a period but do not end a sentence (lowercased, without the final period)
+const ABBREVIATIONS = new Set([
+  'p.a', 'p.m', 'a.m', 'e.g', 'i.e', 'etc', 'viz', 'vs', 'approx', 'incl', 'excl', 'est',
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'no', 'nos', 'sec', 'cl', 'art', 'para',
+  'fig', 'vol', 'ref', 'rs', 'inr', 'usd', 'ltd', 'pvt', 'inc', 'corp', 'co', 'llc', 'plc',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  'u.s', 'u.k', 'yr', 'yrs', 'qtr', 'min', 'max', 'avg', 'govt', 'dept', 'mn', 'bn', 'cr'
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+
+// Function to count tokens. Approximates a sub-word tokenizer: words longer
+// than 6 characters count as several tokens, punctuation counts as one.
+function countTokens(text) {
+  const pieces = String(text).match(TOKEN_PATTERN) || [];
+  return pieces.reduce((total, piece) => total + Math.max(1, Math.ceil(piece.length / 6)), 0);
+}
+
+function isHeading(line) {
+  if (line.length > 100 || /[.,;]$/.test(line)) {
+    return false;
+  }
+  const words = line.split(/\s+/);
+  if (/^(\d+(\.\d+)*\.?|[IVXLC]+\.|[A-Z]\.)\s+\S/.test(line) && words.length <= 12 && !/\d[\d,]*\.\d/.test(line.replace(/^\S+\s+/, ''))) {
+    return true;
+  }
+  if (/^(section|part|article|chapter|schedule|annexure|appendix)\s+[\w.]+/i.test(line) && words.length <= 12) {
+    return true;
+  }
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 3 && letters === letters.toUpperCase() && words.length <= 12) {
+    return true;
+  }
+  return /:$/.test(line) && words.length <= 8;
+}
+
+function isTableRow(line) {
+  const cells = line.split(/\t|\s{2,}|\s*\|\s*/).filter(cell => cell.length > 0);
+  if (cells.length >= 3) {
+    return true;
+  }
+  const tokens = line.split(/\s+/);
+  const numeric = tokens.filter(token => /^[-+(]?[$₹€£]?[\d,]+(\.\d+)?%?\)?$/.test(token));
+  return numeric.length >= 2 && numeric.length / tokens.length >= 0.5;
+}
+
+// Function to find sentence boundaries, returning [{ start, end }] offsets into the paragraph
+function sentenceSpans(paragraph) {
+  const spans = [];
+  const boundary = /[.!?]+["')\]]*\s+(?=["'(\[]?[\p{Lu}\p{N}₹$€£])/gu;
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(paragraph)) !== null) {
+    const end = match.index + match[0].trimEnd().length;
+    const lastWord = paragraph.slice(start, match.index + 1).split(/\s+/).pop().toLowerCase().replace(/^[("'\[]+/, '');
+    const stem = lastWord.replace(/\.+$/, '');
+
+    // Single-letter initials ("J. Smith") and known abbreviations are not boundaries
+    if (ABBREVIATIONS.has(stem) || /^\p{L}$/u.test(stem)) {
+      continue;
+    }
+
+    spans.push({ start, end });
+    start = match.index + match[0].length;
+  }
+
+  const trailing = paragraph.slice(start).trimEnd();
+  if (trailing.trim().length > 0) {
+    spans.push({ start, end: start + trailing.length });
+  }
+  return spans;
+}
+
+// Function to split a paragraph into sentences without breaking numbers or abbreviations
+function splitSentences(paragraph) {
+  return sentenceSpans(paragraph).map(({ start, end }) => paragraph.slice(start, end).trim());
+}
+
+// Function to find the page number that contains a character offset
+function pageAt(pages, offset) {
+  if (!pages || pages.length === 0) {
+    return null;
+  }
+  const page = pages.find(candidate => offset < candidate.end) || pages[pages.length - 1];
+  return page.number;
+}
+
+// Function to break a unit that is larger than a whole chunk on word boundaries
+function splitOversizedUnit(text, maxTokens) {
+  const pieces = [];
+  let current = [];
+  let tokens = 0;
+
+  text.split(/\s+/).forEach(word => {
+    const wordTokens = countTokens(word);
+    if (tokens + wordTokens > maxTokens && current.length > 0) {
+      pieces.push(current.join(' '));
+      current = [];
+      tokens = 0;
+    }
+    current.push(word);
+    tokens += wordTokens;
+  });
+
+  if (current.length > 0) {
+    pieces.push(current.join(' '));
+  }
+  return pieces;
+}
+
+// Function to turn raw text into sections of units (sentences and table rows).
+// Every unit records its { start, end } offsets in the text and its page.
+// structure.headings / structure.tableRows are line offsets a parser already
+// classified; other lines are classified heuristically.
+function parseSections(text, pages, structure = {}) {
+  const hintedHeadings = new Set(structure.headings || []);
+  const hintedRows = new Set(structure.tableRows || []);
+  const sections = [{ title: null, units: [] }];
+  let paragraph = [];
+
+  const current = () => sections[sections.length - 1];
+  const flushParagraph = () => {
+    if (paragraph.length === 0) {
+      return;
+    }
+
+    // Lines are joined with single spaces; segments map joined positions back to the source
+    let joined = '';
+    const segments = paragraph.map(line => {
+      const segment = { joinedStart: joined.length + (joined ? 1 : 0), start: line.start };
+      joined += (joined ? ' ' : '') + line.text;
+      return segment;
+    });
+    const toSource = (position) => {
+      let segment = segments[0];
+      segments.forEach(candidate => {
+        if (candidate.joinedStart <= position) {
+          segment = candidate;
+        }
+      });
+      return segment.start + (position - segment.joinedStart);
+    };
+
+    sentenceSpans(joined).forEach(({ start, end }) => {
+      const leading = joined.slice(start, end).length - joined.slice(start, end).trimStart().length;
+      current().units.push({
+        type: 'sentence',
+        text: joined.slice(start, end).trim(),
+        start: toSource(start + leading),
+        end: toSource(end - 1) + 1,
+        page: paragraph[0].page
+      });
+    });
+    paragraph = [];
+  };
+
+  let offset = 0;
+  String(text).split('\n').forEach(rawLine => {
+    const lineStart = offset;
+    offset += rawLine.length + 1;
+
+    const line = rawLine.trim();
+    const start = lineStart + (rawLine.length - rawLine.trimStart().length);
+    const page = pageAt(pages, start);
+
+    if (line.length === 0 || (paragraph.length > 0 && paragraph[0].page !== page)) {
+      flushParagraph();
+    }
+    if (line.length === 0) {
+      return;
+    }
+
+    const hinted = hintedHeadings.has(lineStart) || hintedRows.has(lineStart);
+    if (hintedRows.has(lineStart) || (!hinted && isTableRow(line))) {
+      flushParagraph();
+      current().units.push({
+        type: 'row',
+        text: line.replace(/[ ]{2,}/g, ' | ').replace(/\t+/g, ' | '),
+        start,
+        end: start + line.length,
+        page
+      });
+    } else if (hintedHeadings.has(lineStart) || (!hinted && isHeading(line))) {
+      flushParagraph();
+      sections.push({ title: line.replace(/:$/, ''), units: [] });
+    } else {
+      paragraph.push({ text: line, start, page });
+    }
+  });
+  flushParagraph();
+
+  return sections.filter(section => section.units.length > 0);
+}
+
+// Function to chunk text by structure, sized by tokens. options.pages is the
+// [{ number, start, end }] page map of the text and options.structure the
+// parser's heading/table hints, when known.
+// Returns [{ content, section, tokens, page, pageEnd, charStart, charEnd }].
+function chunkStructured(text, options = {}) {
+  const maxTokens = options.maxTokens || parseInt(process.env.CHUNK_MAX_TOKENS, 10) || 256;
+  const overlapTokens = options.overlapTokens ?? (parseInt(process.env.CHUNK_OVERLAP_TOKENS, 10) || 32);
+  const chunks = [];
+
+  parseSections(text, options.pages, options.structure).forEach(section => {
+    let current = [];
+    let currentTokens = 0;
+    let tableHeader = null;
+
+    const emit = () => {
+      // Sentences run on with spaces, table rows keep one per line
+      const content = current.reduce((text, unit, i) => {
+        if (i === 0) {
+          return unit.text;
+        }
+        const separator = unit.type === 'row' || current[i - 1].type === 'row' ? '\n' : ' ';
+        return text + separator + unit.text;
+      }, '');
+      chunks.push({
+        content,
+        section: section.title,
+        tokens: currentTokens,
+        page: current[0].page,
+        pageEnd: current[current.length - 1].page,
+        charStart: current[0].start,
+        charEnd: current[current.length - 1].end
+      });
+    };
+
+    const units = section.units.flatMap(unit => (
+      countTokens(unit.text) > maxTokens
+        ? splitOversizedUnit(unit.text, maxTokens).map(piece => ({ ...unit, text: piece }))
+        : [unit]
+    ));
+
+    units.forEach((unit, index) => {
+      const unitTokens = countTokens(unit.text);
+      const previous = units[index - 1];
+      if (unit.type === 'row' && (!previous || previous.type !== 'row')) {
+        tableHeader = unit;
+      }
+
+      const pageChanged = current.length > 0 && current[current.length - 1].page !== unit.page;
+      if (pageChanged) {
+        emit();
+        current = [];
+        currentTokens = 0;
+      } else if (currentTokens + unitTokens > maxTokens && current.length > 0) {
+        emit();
+
+        // Carry whole trailing sentences over as overlap; tables repeat their header row instead
+        let carried = [];
+        if (unit.type === 'row' && tableHeader && tableHeader !== unit) {
+          carried = [tableHeader];
+        } else if (unit.type === 'sentence') {
+          let carriedTokens = 0;
+          for (let i = current.length - 1; i >= 0 && current[i].type === 'sentence'; i--) {
+            const tokens = countTokens(current[i].text);
+            if (carriedTokens + tokens > overlapTokens) {
+              break;
+            }
+            carried.unshift(current[i]);
+            carriedTokens += tokens;
+          }
+        }
+
+        current = carried;
+        currentTokens = carried.reduce((total, carriedUnit) => total + countTokens(carriedUnit.text), 0);
+        if (currentTokens + unitTokens > maxTokens) {
+          current = [];
+          currentTokens = 0;
+        }
+      }
+
+      current.push(unit);
+      currentTokens += unitTokens;
+    });
+
+    if (current.length > 0) {
+      emit();
+    }
+  });
+
+  return chunks;
+}
+
+module.exports = {
+  countTokens,
+  sentenceSpans,
+  splitSentences,
+  pageAt,
+  chunkStructured
+};
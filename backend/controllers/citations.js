@@ -0,0 +1,105 @@
+const { sentenceSpans } = require('./chunker');
+
+// Maps inline [n] markers in a generated answer back to the retrieved chunks.
+// For each marker the quoted span is the sentence of chunk n that best
+// matches the answer sentences citing it.
+
+const MARKER_PATTERN = /\[(\d+)\]/g;
+
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+(?:[.,]\p{N}+)*%?/gu) || []);
+}
+
+// Overlap score between an answer sentence and a candidate quote; numbers count double
+function overlapScore(claimTokens, candidate) {
+  const candidateTokens = new Set(tokenize(candidate));
+  if (candidateTokens.size === 0) {
+    return 0;
+  }
+  let score = 0;
+  let possible = 0;
+  claimTokens.forEach(token => {
+    const weight = /\d/.test(token) ? 2 : 1;
+    possible += weight;
+    if (candidateTokens.has(token)) {
+      score += weight;
+    }
+  });
+  return possible > 0 ? score / possible : 0;
+}
+
+// Function to build citations for every marker used in an answer.
+// Returns [{ marker, filename, page, pageEnd, section, charStart, charEnd, quote }].
+function buildCitations(answer, chunks) {
+  const claimsByMarker = new Map();
+
+  sentenceSpans(answer).forEach(({ start, end }) => {
+    const sentence = answer.slice(start, end);
+    const claim = sentence.replace(MARKER_PATTERN, ' ');
+    for (const match of sentence.matchAll(MARKER_PATTERN)) {
+      const marker = parseInt(match[1], 10);
+      if (!claimsByMarker.has(marker)) {
+        claimsByMarker.set(marker, []);
+      }
+      claimsByMarker.get(marker).push(claim);
+    }
+  });
+
+  return [...claimsByMarker.keys()]
+    .sort((a, b) => a - b)
+    .filter(marker => marker >= 1 && marker <= chunks.length)
+    .map(marker => {
+      const chunk = chunks[marker - 1];
+      const claimTokens = tokenize(claimsByMarker.get(marker).join(' '));
+
+      // Pick the chunk sentence (or table row) with the highest overlap,
+      // remembering where it starts within the chunk
+      const candidates = [];
+      let lineStart = 0;
+      chunk.content.split('\n').forEach(line => {
+        sentenceSpans(line).forEach(span => {
+          const raw = line.slice(span.start, span.end);
+          const text = raw.trim();
+          if (text) {
+            candidates.push({ text, offset: lineStart + span.start + raw.length - raw.trimStart().length });
+          }
+        });
+        lineStart += line.length + 1;
+      });
+      let best = candidates[0] || { text: chunk.content, offset: 0 };
+      let bestScore = -1;
+      candidates.forEach(candidate => {
+        const score = overlapScore(claimTokens, candidate.text);
+        if (score > bestScore) {
+          bestScore = score;
+          best = candidate;
+        }
+      });
+
+      // Offsets of the quote in the source text; chunk content collapses
+      // whitespace between paragraphs, so later quotes may sit a few characters off
+      let charStart = null;
+      let charEnd = null;
+      if (chunk.charStart != null) {
+        charStart = chunk.charStart + best.offset;
+        charEnd = charStart + best.text.length;
+        if (chunk.charEnd != null) {
+          charStart = Math.min(charStart, chunk.charEnd);
+          charEnd = Math.min(charEnd, chunk.charEnd);
+        }
+      }
+
+      return {
+        marker,
+        filename: chunk.filename,
+        page: chunk.page ?? null,
+        pageEnd: chunk.pageEnd ?? chunk.page ?? null,
+        section: chunk.section ?? null,
+        charStart,
+        charEnd,
+        quote: best.text
+      };
+    });
+}
+
+module.exports = { buildCitations };
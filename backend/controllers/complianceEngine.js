@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Compliance rule engine that screens generated text before it is sent.
+// Rules come from rule packs (JSON or YAML files in rulePacks/) and are one of:
+//   forbidden - any matching pattern flags or blocks the text
+//   required  - at least one pattern must match; otherwise flag, block, or
+//               append the rule's `text` (e.g. a risk disclaimer)
+// Rules may be limited to contexts with `appliesTo` ('answer', 'advice', 'comparison').
+// Forbidden rules with `ignoreNegated` skip matches that a negation directly
+// governs: "no guaranteed returns", "returns are not assured" and "no investment
+// is risk-free" are not claims, but "don't miss out on guaranteed returns" is.
+// Packs are chosen with COMPLIANCE_RULE_PACKS (comma separated, default "sebi").
+
+const DEFAULT_RULES_DIR = path.join(__dirname, '..', 'rulePacks');
+const BLOCKED_MESSAGE = 'This response was withheld because it did not pass compliance checks. Please consult a registered advisor.';
+const ACTIONS = ['flag', 'block', 'append'];
+// A negation word right before a match ("not", "isn't", "no"), or a negated
+// subject joined to it by a copula ("no investment is")
+const NEGATION_BEFORE = /\b(?:no|not|never|nor|without|cannot|can't|isn't|aren't|wasn't|weren't|doesn't|don't|won't|no\s+[\p{L}\p{N}'-]+\s+(?:is|are|was|were))\s+$/iu;
+
+// Function to read and validate one rule pack file
+function loadRulePackFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const pack = /\.ya?ml$/i.test(filePath) ? yaml.load(raw) : JSON.parse(raw);
+
+  if (!pack || !pack.id || !Array.isArray(pack.rules)) {
+    throw new Error(`Rule pack ${filePath} must have an id and a rules array`);
+  }
+
+  return {
+    id: pack.id,
+    name: pack.name || pack.id,
+    rules: pack.rules.map(rule => {
+      if (!['forbidden', 'required'].includes(rule.type)) {
+        throw new Error(`Rule ${pack.id}/${rule.id} has unknown type "${rule.type}"`);
+      }
+      const action = rule.action || (rule.type === 'forbidden' ? 'flag' : 'append');
+      if (!ACTIONS.includes(action) || (action === 'append' && !rule.text)) {
+        throw new Error(`Rule ${pack.id}/${rule.id} has an invalid action "${action}"`);
+      }
+      return {
+        id: rule.id,
+        type: rule.type,
+        category: rule.category || rule.type,
+        severity: rule.severity || 'medium',
+        action,
+        message: rule.message || rule.id,
+        appliesTo: rule.appliesTo || null,
+        text: rule.text || null,
+        ignoreNegated: Boolean(rule.ignoreNegated),
+        patterns: (rule.patterns || []).map(pattern => new RegExp(pattern, rule.caseSensitive ? 'gu' : 'giu'))
+      };
+    })
+  };
+}
+
+// Function to load the named rule packs from a directory (.json, .yaml or .yml)
+function loadRulePacks(names, rulesDir = DEFAULT_RULES_DIR) {
+  return names.map(name => {
+    const file = ['.json', '.yaml', '.yml']
+      .map(extension => path.join(rulesDir, `${name}${extension}`))
+      .find(candidate => fs.existsSync(candidate));
+    if (!file) {
+      throw new Error(`Rule pack "${name}" not found in ${rulesDir}`);
+    }
+    return loadRulePackFile(file);
+  });
+}
+
+// Function to check whether the words just before `index` negate a match
+function isNegated(text, index) {
+  const clause = text.slice(0, index).split(/[.!?;:,\n]/).pop();
+  return NEGATION_BEFORE.test(clause);
+}
+
+function findMatches(rule, text) {
+  const matches = [];
+  rule.patterns.forEach(pattern => {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      if (rule.ignoreNegated && isNegated(text, match.index)) {
+        continue;
+      }
+      matches.push({ match: match[0], index: match.index });
+    }
+  });
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+// Function to build a compliance engine from configuration
+function createComplianceEngine(config = {}) {
+  const names = config.packs || (process.env.COMPLIANCE_RULE_PACKS || 'sebi').split(',').map(name => name.trim()).filter(Boolean);
+  const packs = config.rulePacks || loadRulePacks(names, config.rulesDir || process.env.COMPLIANCE_RULES_DIR || DEFAULT_RULES_DIR);
+
+  // Screen text for a context. Returns { text, status, annotations } where status
+  // is 'passed', 'flagged' or 'blocked' and text is what may be shown to the user.
+  // With `partial`, text is only part of a longer reply (e.g. one streamed
+  // sentence), so required rules are left for the screen of the whole reply.
+  function screen(text, context = 'answer', { partial = false } = {}) {
+    const annotations = [];
+    const appended = [];
+
+    packs.forEach(pack => {
+      pack.rules.forEach(rule => {
+        if ((rule.appliesTo && !rule.appliesTo.includes(context)) || (partial && rule.type === 'required')) {
+          return;
+        }
+
+        const matches = findMatches(rule, text);
+        const annotation = {
+          pack: pack.id,
+          ruleId: rule.id,
+          category: rule.category,
+          severity: rule.severity,
+          action: rule.action,
+          message: rule.message
+        };
+
+        if (rule.type === 'forbidden' && matches.length > 0) {
+          matches.forEach(({ match, index }) => {
+            annotations.push({ ...annotation, match, start: index, end: index + match.length });
+          });
+        } else if (rule.type === 'required' && matches.length === 0) {
+          annotations.push({ ...annotation, match: null });
+          if (rule.action === 'append' && !appended.includes(rule.text)) {
+            appended.push(rule.text);
+          }
+        }
+      });
+    });
+
+    const blocked = annotations.some(annotation => annotation.action === 'block');
+    const flagged = annotations.some(annotation => annotation.action === 'flag');
+
+    let screenedText = text;
+    if (blocked) {
+      screenedText = BLOCKED_MESSAGE;
+    } else if (appended.length > 0) {
+      screenedText = `${text.trimEnd()}\n\n${appended.join('\n\n')}`;
+    }
+
+    return {
+      text: screenedText,
+      status: blocked ? 'blocked' : flagged ? 'flagged' : 'passed',
+      annotations
+    };
+  }
+
+  return {
+    packs: packs.map(pack => pack.id),
+    screen
+  };
+}
+
+module.exports = {
+  loadRulePacks,
+  createComplianceEngine
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversationModel');
+
+// How many earlier messages are shown to the LLM when rewriting a follow-up
+const HISTORY_WINDOW = 6;
+
+// Function to check whether the MongoDB conversation store is usable
+function isConversationStoreReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Function to load a conversation owned by the given user (null if missing)
+async function getConversation(conversationId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    return null;
+  }
+  return Conversation.findOne({ _id: conversationId, userId });
+}
+
+// Function to rewrite a follow-up question into a standalone search query,
+// e.g. "what about its exit load?" -> "What is the exit load of the XYZ Flexi Cap Fund?"
+async function rewriteFollowUpQuestion(messages, question, llm) {
+  const history = messages.slice(-HISTORY_WINDOW);
+  if (history.length === 0) {
+    return question;
+  }
+
+  const transcript = history
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+
+  const prompt = `Given the conversation below and a follow-up question, rewrite the follow-up as a single standalone question that can be understood without the conversation. Resolve pronouns and references such as "it", "that fund" or "the second one". If the follow-up is already standalone, return it unchanged.
+
+Conversation:
+${transcript}
+
+Follow-up question: ${question}
+
+Reply with only the standalone question.`;
+
+  try {
+    const rewritten = (await llm.generate(prompt)).trim().split('\n')[0].replace(/^["']|["']$/g, '').trim();
+    return rewritten || question;
+  } catch (error) {
+    // Searching with the raw follow-up is better than failing the query
+    console.error('Error rewriting follow-up question:', error);
+    return question;
+  }
+}
+
+// Function to append a question/answer turn, creating the conversation if needed
+async function recordConversationTurn(conversation, userId, turn) {
+  const target = conversation || new Conversation({
+    userId,
+    title: turn.question.length > 80 ? `${turn.question.slice(0, 77)}...` : turn.question
+  });
+
+  target.messages.push(
+    { role: 'user', content: turn.question, standaloneQuestion: turn.standaloneQuestion },
+    { role: 'assistant', content: turn.answer, citations: turn.citations, sources: turn.sources }
+  );
+
+  await target.save();
+  return target;
+}
+
+module.exports = {
+  isConversationStoreReady,
+  getConversation,
+  rewriteFollowUpQuestion,
+  recordConversationTurn
+};
@@ -1,25 +1,38 @@
 const fs = require('fs');
 const pdf = require('pdf-parse');
+const { createEmbeddingProvider } = require('./embeddingProviders');
+const path = require('path');
+const { chunkStructured, countTokens, pageAt } = require('./chunker');
+const { DocumentParseError, parsers: otherDocumentParsers } = require('./documentParsers');
+const { redactDocument } = require('./piiRedactor');
+
+let embeddingProvider;
+// Cleared by initializeElasticsearch when the documents index cannot serve kNN queries
+let vectorSearchEnabled = true;
+
+// Function to get the configured embedding provider (created on first use)
+function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    embeddingProvider = createEmbeddingProvider();
+  }
+  return embeddingProvider;
+}
+
+// Function to swap the embedding provider (e.g. the local embedder in tests)
+function setEmbeddingProvider(provider) {
+  embeddingProvider = provider;
+}
 
 async function getEmbeddings(text) {
   try {
-    const response = await fetch(
-      "https://api-inference.huggingface.co/pipeline/feature-extraction/sentence-transformers/all-MiniLM-L6-v2",
-      {
-        headers: { 
-          Authorization: `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        method: "POST",
-        body: JSON.stringify({ inputs: text }),
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const provider = getEmbeddingProvider();
+    const embedding = await provider.embed(text);
+
+    if (!Array.isArray(embedding) || embedding.length !== provider.dimension) {
+      throw new Error(`Embedding provider "${provider.name}" returned ${Array.isArray(embedding) ? embedding.length : 'no'} dimensions, expected ${provider.dimension}`);
     }
-    
-    return await response.json();
+
+    return embedding;
   } catch (error) {
     console.error('Error getting embeddings:', error);
     throw error;
@@ -50,83 +63,601 @@ function chunkText(text, chunkSize = 500, overlap = 50) {
   return chunks;
 }
 
-async function indexDocument(chunks, filename, esClient) {
+// Function to find where each legacy chunk came from. chunkText rewrites
+// punctuation, so this matches the first and last sentence fragments of each
+// chunk against the source; the result is approximate.
+function locateChunks(text, chunks, pages) {
+  let cursor = 0;
+  return chunks.map(content => {
+    const fragments = content.split(/[.!?]+/).map(fragment => fragment.trim()).filter(Boolean);
+    const first = (fragments[0] || content).slice(0, 60);
+    const last = (fragments[fragments.length - 1] || content).slice(-60);
+
+    let charStart = text.indexOf(first, Math.max(0, cursor - content.length));
+    if (charStart === -1) {
+      charStart = cursor;
+    }
+    const lastIndex = text.indexOf(last, charStart);
+    const charEnd = lastIndex === -1 ? Math.min(text.length, charStart + content.length) : lastIndex + last.length;
+    cursor = charEnd;
+
+    return {
+      content,
+      section: null,
+      tokens: countTokens(content),
+      page: pageAt(pages, charStart),
+      pageEnd: pageAt(pages, Math.max(charStart, charEnd - 1)),
+      charStart,
+      charEnd
+    };
+  });
+}
+
+// Chunking strategies selectable per upload. 'sentence' is the original
+// character-based splitter, 'structured' is the section/table-aware chunker.
+const chunkingStrategies = {
+  sentence: (text, options = {}) => locateChunks(text, chunkText(text), options.pages),
+  structured: (text, options = {}) => chunkStructured(text, options)
+};
+
+// Function to chunk text with a named strategy, returning
+// [{ content, section, tokens, page, pageEnd, charStart, charEnd }]
+function chunkDocument(text, strategy = process.env.CHUNK_STRATEGY || 'structured', options = {}) {
+  const chunker = chunkingStrategies[strategy];
+  if (!chunker) {
+    throw new Error(`Unknown chunking strategy "${strategy}". Expected one of: ${Object.keys(chunkingStrategies).join(', ')}`);
+  }
+  return chunker(text, options);
+}
+
+// Raised when some chunks could not be indexed; `report` lists which ones
+class IndexingError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'IndexingError';
+    this.report = report;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to retry an async operation with exponential backoff
+async function withRetry(operation, maxRetries = 3, backoffMs = 250) {
+  let lastError;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxRetries) {
+        await sleep(backoffMs * 2 ** attempt);
+      }
+    }
+  }
+  throw lastError;
+}
+
+// Function to map over items with at most `concurrency` calls in flight
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Query matching the chunks of one document version (registered documents are
+// identified by document_id + version, older uploads by filename)
+function documentChunksQuery(filename, documentId, version) {
+  if (documentId) {
+    return { bool: { filter: [{ term: { document_id: documentId } }, { term: { version } }] } };
+  }
+  return { term: { 'filename.keyword': filename } };
+}
+
+// Function to list chunk ids already stored for a document (used to resume)
+async function getIndexedChunkIds(query, esClient) {
+  const searchResponse = await esClient.search({
+    index: 'documents',
+    body: {
+      query,
+      _source: ['chunk_id'],
+      size: 10000
+    }
+  });
+
+  return new Set(searchResponse.hits.hits.map(hit => hit._source.chunk_id));
+}
+
+// Function to embed and bulk-index document chunks.
+// options.mode: 'rollback' removes every chunk of the document if any chunk fails,
+// 'resume' keeps what was indexed and skips chunks already present on the next run.
+// options.documentId / options.version tag chunks with their registry entry and
+// options.access ({ ownerId, orgId, visibility }) records who may retrieve them.
+async function indexDocument(chunks, filename, esClient, options = {}) {
+  const {
+    concurrency = parseInt(process.env.INDEX_CONCURRENCY, 10) || 4,
+    batchSize = 50,
+    maxRetries = 3,
+    mode = 'rollback',
+    documentType = null,
+    documentId = null,
+    version = null,
+    access = {},
+    onProgress = () => {}
+  } = options;
+
+  const chunksQuery = documentChunksQuery(filename, documentId, version);
+  const idPrefix = documentId ? `${documentId}_v${version}` : filename;
+
+  const report = {
+    filename,
+    total: chunks.length,
+    indexed: 0,
+    skipped: 0,
+    failed: []
+  };
+
   try {
-    for (let i = 0; i < chunks.length; i++) {
-      const embedding = await getEmbeddings(chunks[i]);
-      
-      await esClient.index({
+    const alreadyIndexed = mode === 'resume'
+      ? await getIndexedChunkIds(chunksQuery, esClient)
+      : new Set();
+
+    // Chunks may be plain strings or objects from chunkDocument
+    const pending = [];
+    chunks.forEach((chunk, chunkId) => {
+      if (alreadyIndexed.has(chunkId)) {
+        report.skipped++;
+      } else {
+        pending.push(typeof chunk === 'string' ? { chunkId, content: chunk } : { chunkId, ...chunk });
+      }
+    });
+
+    let embedded = 0;
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+
+      // Embed the batch with bounded concurrency, retrying each chunk on its own
+      const embeddings = await mapWithConcurrency(batch, concurrency, async ({ chunkId, content }) => {
+        try {
+          return await withRetry(() => getEmbeddings(content), maxRetries);
+        } catch (error) {
+          report.failed.push({ chunkId, stage: 'embedding', error: error.message });
+          return null;
+        } finally {
+          embedded++;
+          onProgress({ stage: 'embedding', completed: embedded, total: pending.length });
+        }
+      });
+
+      let toWrite = batch
+        .map((chunk, i) => ({ ...chunk, embedding: embeddings[i] }))
+        .filter(chunk => chunk.embedding);
+
+      // Bulk write, re-sending only the items Elasticsearch rejected
+      for (let attempt = 0; toWrite.length > 0; attempt++) {
+        const operations = toWrite.flatMap(({ chunkId, content, section, tokens, page, pageEnd, charStart, charEnd, embedding }) => [
+          { index: { _index: 'documents', _id: `${idPrefix}_chunk_${chunkId}` } },
+          {
+            content: content,
+            embedding: embedding,
+            filename: filename,
+            document_id: documentId,
+            version: version,
+            owner_id: access.ownerId || null,
+            org_id: access.orgId || null,
+            visibility: access.visibility || 'private',
+            chunk_id: chunkId,
+            section: section || null,
+            token_count: tokens || countTokens(content),
+            page: page ?? null,
+            page_end: pageEnd ?? page ?? null,
+            char_start: charStart ?? null,
+            char_end: charEnd ?? null,
+            document_type: documentType,
+            timestamp: new Date()
+          }
+        ]);
+
+        let rejected;
+        try {
+          const bulkResponse = await esClient.bulk({ body: operations });
+          rejected = bulkResponse.errors
+            ? toWrite
+                .map((chunk, i) => ({ ...chunk, error: bulkResponse.items[i].index.error }))
+                .filter(chunk => chunk.error)
+            : [];
+        } catch (error) {
+          rejected = toWrite.map(chunk => ({ ...chunk, error }));
+        }
+
+        report.indexed += toWrite.length - rejected.length;
+
+        if (rejected.length > 0 && attempt >= maxRetries) {
+          rejected.forEach(({ chunkId, error }) => {
+            report.failed.push({ chunkId, stage: 'indexing', error: error.reason || error.message || String(error) });
+          });
+          break;
+        }
+        if (rejected.length > 0) {
+          await sleep(250 * 2 ** attempt);
+        }
+        toWrite = rejected.map(({ error, ...chunk }) => chunk);
+      }
+
+      onProgress({ stage: 'indexing', completed: report.indexed + report.skipped, total: chunks.length });
+    }
+
+    report.failed.sort((a, b) => a.chunkId - b.chunkId);
+
+    if (report.failed.length > 0 && mode === 'rollback') {
+      await esClient.deleteByQuery({
         index: 'documents',
-        id: `${filename}_chunk_${i}`,
         body: {
-          content: chunks[i],
-          embedding: embedding,
-          filename: filename,
-          chunk_id: i,
-          timestamp: new Date()
-        }
+          query: chunksQuery
+        },
+        refresh: true
       });
+      report.indexed = 0;
+      throw new IndexingError(`${report.failed.length} of ${chunks.length} chunks failed; rolled back ${filename}`, report);
     }
-    
+
     await esClient.indices.refresh({ index: 'documents' });
-    console.log(`Indexed ${chunks.length} chunks for ${filename}`);
+    console.log(`Indexed ${report.indexed} chunks for ${filename} (${report.skipped} skipped, ${report.failed.length} failed)`);
+    return report;
   } catch (error) {
     console.error('Error indexing document:', error);
     throw error;
   }
 }
 
-async function searchSimilarChunks(query, esClient, topK = 5) {
-  try {
-    const queryEmbedding = await getEmbeddings(query);
-    
-    const searchResponse = await esClient.search({
-      index: 'documents',
-      body: {
-        query: {
-          script_score: {
-            query: { match_all: {} },
-            script: {
-              source: "cosineSimilarity(params.queryVector, 'embedding') + 1.0",
-              params: {
-                queryVector: queryEmbedding
-              }
-            }
-          }
-        },
-        size: topK,
-        _source: ['content', 'filename', 'chunk_id']
+const SEARCH_SOURCE_FIELDS = [
+  'content', 'filename', 'document_id', 'version', 'chunk_id', 'section', 'page', 'page_end',
+  'char_start', 'char_end', 'document_type', 'timestamp'
+];
+
+// Function to turn /query filters into Elasticsearch filter clauses.
+// filters: { documentIds, filenames, documentTypes, dateFrom, dateTo }
+function buildSearchFilters(filters = {}) {
+  const clauses = [];
+  const asList = value => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+  if (filters.documentIds && asList(filters.documentIds).length > 0) {
+    clauses.push({ terms: { document_id: asList(filters.documentIds) } });
+  }
+  if (filters.filenames && asList(filters.filenames).length > 0) {
+    clauses.push({ terms: { 'filename.keyword': asList(filters.filenames) } });
+  }
+  if (filters.documentTypes && asList(filters.documentTypes).length > 0) {
+    clauses.push({ terms: { document_type: asList(filters.documentTypes).map(type => String(type).toLowerCase()) } });
+  }
+  if (filters.dateFrom || filters.dateTo) {
+    const range = {};
+    if (filters.dateFrom) {
+      range.gte = filters.dateFrom;
+    }
+    if (filters.dateTo) {
+      range.lte = filters.dateTo;
+    }
+    clauses.push({ range: { timestamp: range } });
+  }
+
+  return clauses;
+}
+
+// Function to restrict retrieval to chunks the caller may see: their own
+// documents plus documents shared with their organization (every document of
+// the organization when caller.organizationWide is set, e.g. for compliance).
+// caller: { userId, orgId, organizationWide }
+function buildAccessFilter(caller) {
+  const should = [{ term: { owner_id: caller.userId } }];
+  if (caller.orgId && caller.organizationWide) {
+    should.push({ term: { org_id: caller.orgId } });
+  } else if (caller.orgId) {
+    should.push({
+      bool: {
+        filter: [
+          { term: { org_id: caller.orgId } },
+          { term: { visibility: 'organization' } }
+        ]
       }
     });
-    
-    return searchResponse.body.hits.hits.map(hit => ({
-      content: hit._source.content,
-      filename: hit._source.filename,
-      score: hit._score
-    }));
+  }
+  return { bool: { should, minimum_should_match: 1 } };
+}
+
+function toChunk(hit) {
+  return {
+    id: hit._id,
+    content: hit._source.content,
+    filename: hit._source.filename,
+    documentId: hit._source.document_id || null,
+    version: hit._source.version ?? null,
+    chunkId: hit._source.chunk_id,
+    section: hit._source.section || null,
+    page: hit._source.page ?? null,
+    pageEnd: hit._source.page_end ?? null,
+    charStart: hit._source.char_start ?? null,
+    charEnd: hit._source.char_end ?? null,
+    documentType: hit._source.document_type || null,
+    timestamp: hit._source.timestamp,
+    ...(hit._source.embedding ? { embedding: hit._source.embedding } : {})
+  };
+}
+
+// Function to merge ranked hit lists with weighted reciprocal-rank fusion:
+// score = sum over lists of weight / (rrfK + rank)
+function fuseRankings(rankings, rrfK = 60) {
+  const fused = new Map();
+
+  rankings.forEach(({ name, hits, weight }) => {
+    hits.forEach((hit, index) => {
+      const rank = index + 1;
+      if (!fused.has(hit._id)) {
+        fused.set(hit._id, { ...toChunk(hit), score: 0, ranks: {} });
+      }
+      const entry = fused.get(hit._id);
+      entry.score += weight / (rrfK + rank);
+      entry.ranks[name] = rank;
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Function to run hybrid retrieval: BM25 over content and vector kNN, fused with RRF.
+// Fusion happens here rather than with Elasticsearch's rrf retriever, which needs a paid licence.
+// options: { filters, caller, keywordWeight, vectorWeight, rrfK, candidates, includeEmbeddings }
+// Pass `caller` ({ userId, orgId }) to search only what that user may see.
+async function searchSimilarChunks(query, esClient, topK = 5, options = {}) {
+  const {
+    filters = {},
+    caller = null,
+    keywordWeight = parseFloat(process.env.RETRIEVAL_KEYWORD_WEIGHT || '1'),
+    vectorWeight = parseFloat(process.env.RETRIEVAL_VECTOR_WEIGHT || '1'),
+    rrfK = parseInt(process.env.RETRIEVAL_RRF_K, 10) || 60,
+    candidates = Math.max(topK * 4, 20),
+    includeEmbeddings = false
+  } = options;
+
+  try {
+    const filter = buildSearchFilters(filters);
+    if (caller) {
+      filter.push(buildAccessFilter(caller));
+    }
+    const sourceFields = includeEmbeddings ? [...SEARCH_SOURCE_FIELDS, 'embedding'] : SEARCH_SOURCE_FIELDS;
+    // Indexes without a kNN-indexed embedding field are searched by keyword only
+    const useVectors = vectorWeight > 0 && vectorSearchEnabled;
+    const queryEmbedding = useVectors ? await getEmbeddings(query) : null;
+
+    const [keywordResponse, vectorResponse] = await Promise.all([
+      keywordWeight > 0
+        ? esClient.search({
+            index: 'documents',
+            body: {
+              query: {
+                bool: {
+                  must: {
+                    multi_match: {
+                      query,
+                      fields: ['content', 'section^2', 'filename']
+                    }
+                  },
+                  filter
+                }
+              },
+              size: candidates,
+              _source: sourceFields
+            }
+          })
+        : null,
+      useVectors
+        ? esClient.search({
+            index: 'documents',
+            body: {
+              knn: {
+                field: 'embedding',
+                query_vector: queryEmbedding,
+                k: candidates,
+                num_candidates: Math.max(candidates * 5, 100),
+                filter
+              },
+              size: candidates,
+              _source: sourceFields
+            }
+          })
+        : null
+    ]);
+
+    const rankings = [];
+    if (keywordResponse) {
+      rankings.push({ name: 'keyword', hits: keywordResponse.hits.hits, weight: keywordWeight });
+    }
+    if (vectorResponse) {
+      rankings.push({ name: 'vector', hits: vectorResponse.hits.hits, weight: vectorWeight });
+    }
+
+    return fuseRankings(rankings, rrfK).slice(0, topK);
   } catch (error) {
     console.error('Error searching similar chunks:', error);
     throw error;
   }
 }
 
+// Same text extraction as pdf-parse's default renderer, kept per page
+function renderPage(pageData, pageTexts) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY, text = '';
+      for (const item of textContent.items) {
+        if (lastY == item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+      pageTexts[pageData.pageNumber - 1] = text;
+      return text;
+    });
+}
+
+// Function to parse a PDF into { text, pages, pageCount, title }, where pages is
+// [{ number, start, end }] giving each page's character range in text
 async function parsePdfFile(filePath) {
   try {
     const pdfBuffer = fs.readFileSync(filePath);
-    const pdfData = await pdf(pdfBuffer);
-    return pdfData.text;
+    const pageTexts = [];
+    const pdfData = await pdf(pdfBuffer, { pagerender: pageData => renderPage(pageData, pageTexts) });
+
+    let text = '';
+    const pages = [];
+    for (let i = 0; i < pdfData.numpages; i++) {
+      if (i > 0) {
+        text += '\n\n';
+      }
+      const start = text.length;
+      text += pageTexts[i] || '';
+      pages.push({ number: i + 1, start, end: text.length });
+    }
+
+    // Scanned PDFs have pages but (almost) no extractable characters
+    const visibleCharacters = text.replace(/\s/g, '').length;
+    if (pdfData.numpages > 0 && visibleCharacters < 10 * pdfData.numpages) {
+      throw new DocumentParseError('This PDF has no text layer (it looks like a scanned document). Run it through OCR and upload the searchable PDF.');
+    }
+
+    const title = pdfData.info && typeof pdfData.info.Title === 'string' ? pdfData.info.Title.trim() : '';
+    return { text, pages, pageCount: pdfData.numpages, title: title || null, structure: {} };
   } catch (error) {
     console.error('Error parsing PDF:', error);
     throw error;
   }
 }
 
-async function generateGeminiResponse(question, relevantChunks, model) {
+// Text extractors by format; each resolves to { text, pages, pageCount, structure }
+const documentParsers = [
+  {
+    name: 'pdf',
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    parse: parsePdfFile
+  },
+  ...otherDocumentParsers
+];
+
+// Function to pick a parser by MIME type, falling back to the file extension
+// (browsers often send application/octet-stream for office files)
+function findDocumentParser(mimetype, filename = '') {
+  const extension = path.extname(filename).toLowerCase();
+  return documentParsers.find(parser => parser.mimeTypes.includes(mimetype))
+    || documentParsers.find(parser => parser.extensions.includes(extension))
+    || null;
+}
+
+// Function to extract normalized text and structure hints from any supported file
+async function parseDocumentFile(filePath, { mimetype, originalname } = {}) {
+  const parser = findDocumentParser(mimetype, originalname || filePath);
+  if (!parser) {
+    throw new DocumentParseError(`Unsupported file type ${mimetype || path.extname(originalname || filePath)}`);
+  }
+
   try {
-    // Prepare context for Gemini
-    const context = relevantChunks.map(chunk => chunk.content).join('\n\n');
-    
-    const prompt = `Based on the following context from uploaded documents, please answer the question. If the context doesn't contain enough information to answer the question, please say so.
+    const parsed = await parser.parse(filePath);
+    if (parsed.text.trim().length === 0) {
+      throw new DocumentParseError(`No text could be extracted from this ${parser.name} file`);
+    }
+    return { ...parsed, format: parser.name };
+  } catch (error) {
+    console.error(`Error parsing ${parser.name} file:`, error);
+    throw error;
+  }
+}
+
+// Function to run the full ingestion pipeline for an uploaded document.
+// onStage({ stage, progress }) is called as the file moves through
+// parsing, chunking, embedding and indexing (progress is 0-100).
+async function ingestDocument({ filePath, filename, mimetype, originalname, mode = 'rollback', strategy, documentType, piiMode, documentId, version, ownerId, orgId, visibility }, esClient, onStage = () => {}) {
+  onStage({ stage: 'parsing', progress: 0 });
+  const parsed = await parseDocumentFile(filePath, { mimetype, originalname });
+  console.log(`Parsed ${parsed.format} file, text length:`, parsed.text.length, 'pages:', parsed.pages.length);
+
+  // Mask (or reject on) personal data before anything is chunked, embedded or stored
+  onStage({ stage: 'redacting', progress: 5 });
+  const { document, report: redaction } = redactDocument(parsed, piiMode);
+  const { text, pages, structure, format } = document;
+  if (redaction.total > 0) {
+    console.log(`Redacted ${redaction.total} PII entities from ${filename}:`, redaction.counts);
+  }
+
+  onStage({ stage: 'chunking', progress: 10 });
+  const chunks = chunkDocument(text, strategy, { pages, structure });
+  console.log(`Created chunks (${strategy || 'default'} strategy):`, chunks.length);
+
+  onStage({ stage: 'embedding', progress: 20 });
+  const report = await indexDocument(chunks, filename, esClient, {
+    mode,
+    documentType,
+    documentId,
+    version,
+    access: { ownerId, orgId, visibility },
+    onProgress: ({ stage, completed, total }) => {
+      const fraction = total > 0 ? completed / total : 1;
+      onStage(stage === 'embedding'
+        ? { stage: 'embedding', progress: 20 + fraction * 60 }
+        : { stage: 'indexing', progress: 80 + fraction * 20 });
+    }
+  });
+
+  if (report.failed.length > 0) {
+    throw new IndexingError(`${report.failed.length} of ${chunks.length} chunks failed for ${filename}`, report);
+  }
+
+  // The upload is kept until indexing fully succeeds so failed jobs can be retried
+  fs.unlinkSync(filePath);
+
+  return {
+    filename,
+    chunks: chunks.length,
+    format,
+    title: parsed.title || null,
+    pageCount: parsed.pageCount,
+    textLength: text.length,
+    redaction,
+    indexed: report.indexed,
+    skipped: report.skipped
+  };
+}
+
+// Function to delete an upload once its ingestion job has failed for good
+function discardUpload(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    console.log('Removed upload of permanently failed job:', filePath);
+  }
+}
+
+// Function to build the answer prompt with numbered context passages
+function buildAnswerPrompt(question, relevantChunks) {
+  // Prepare numbered context for the LLM so it can cite sources as [1], [2]...
+  const context = relevantChunks.map((chunk, i) => {
+    const location = chunk.page ? `, page ${chunk.page}` : '';
+    return `[${i + 1}] (${chunk.filename}${location})\n${chunk.content}`;
+  }).join('\n\n');
+
+  return `Based on the following context from uploaded documents, please answer the question. If the context doesn't contain enough information to answer the question, please say so.
+
+Cite the source of every statement inline using the bracketed number of the context passage that supports it, for example [1] or [2][3]. Only cite passages that actually support the statement.
 
 Context:
 ${context}
@@ -134,11 +665,12 @@ ${context}
 Question: ${question}
 
 Answer:`;
-    
-    // Generate response using Gemini
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+}
+
+async function generateGeminiResponse(question, relevantChunks, llm) {
+  try {
+    // Generate response using the configured LLM
+    return await llm.generate(buildAnswerPrompt(question, relevantChunks));
     
   } catch (error) {
     console.error('Error generating answer:', error);
@@ -146,8 +678,36 @@ Answer:`;
   }
 }
 
+// Function to stream an answer as { delta } events followed by one { usage } event
+async function* streamGeminiResponse(question, relevantChunks, llm, { signal } = {}) {
+  yield* llm.stream(buildAnswerPrompt(question, relevantChunks), { signal });
+}
+
+// Function to check that an existing documents index can serve kNN queries.
+// Indexes created before hybrid retrieval map `embedding` without `index: true`;
+// they are searched by keyword only until they are rebuilt. To migrate, delete
+// the documents index (DELETE /documents), restart so it is created with the
+// current mapping, and upload the documents again.
+async function checkVectorMapping(esClient) {
+  try {
+    const mappings = await esClient.indices.getMapping({ index: 'documents' });
+    const properties = Object.values(mappings)[0]?.mappings?.properties || {};
+    const embedding = properties.embedding;
+    vectorSearchEnabled = !embedding || (embedding.type === 'dense_vector' && embedding.index === true);
+    if (!vectorSearchEnabled) {
+      console.warn('The documents index maps "embedding" without index: true, so kNN search is disabled and '
+        + 'retrieval uses keyword search only. Delete the documents index, restart and re-upload documents to enable hybrid search.');
+    }
+  } catch (error) {
+    console.error('Error reading the documents index mapping:', error);
+    throw error;
+  }
+}
+
 async function initializeElasticsearch(esClient) {
   try {
+    const { name, dimension } = getEmbeddingProvider();
+
     // First, try to create the index directly - this is often more reliable
     await esClient.indices.create({
       index: 'documents',
@@ -157,7 +717,9 @@ async function initializeElasticsearch(esClient) {
             content: { type: 'text' },
             embedding: { 
               type: 'dense_vector', 
-              dims: 384 // Dimension for all-MiniLM-L6-v2 model
+              dims: dimension, // Reported by the configured embedding provider
+              index: true,
+              similarity: 'cosine'
             },
             filename: { 
               type: 'text',
@@ -165,18 +727,36 @@ async function initializeElasticsearch(esClient) {
                 keyword: { type: 'keyword' }
               }
             },
+            document_id: { type: 'keyword' },
+            version: { type: 'integer' },
+            owner_id: { type: 'keyword' },
+            org_id: { type: 'keyword' },
+            visibility: { type: 'keyword' },
             chunk_id: { type: 'integer' },
+            section: {
+              type: 'text',
+              fields: {
+                keyword: { type: 'keyword', ignore_above: 256 }
+              }
+            },
+            token_count: { type: 'integer' },
+            document_type: { type: 'keyword' },
+            page: { type: 'integer' },
+            page_end: { type: 'integer' },
+            char_start: { type: 'integer' },
+            char_end: { type: 'integer' },
             timestamp: { type: 'date' }
           }
         }
       }
     });
-    console.log('Created Elasticsearch index: documents');
+    console.log(`Created Elasticsearch index: documents (${dimension} dims, ${name} embeddings)`);
   } catch (error) {
     // Handle the specific case where index already exists
     if (error.meta && error.meta.body && error.meta.body.error && 
         error.meta.body.error.type === 'resource_already_exists_exception') {
       console.log('Elasticsearch index already exists - continuing...');
+      await checkVectorMapping(esClient);
     } else {
       console.error('Error initializing Elasticsearch:', error);
       throw error; // Re-throw if it's not the "already exists" error
@@ -185,11 +765,27 @@ async function initializeElasticsearch(esClient) {
 }
 
 module.exports = {
+  getEmbeddingProvider,
+  setEmbeddingProvider,
   getEmbeddings,
   chunkText,
+  chunkingStrategies,
+  chunkDocument,
+  IndexingError,
   indexDocument,
+  buildSearchFilters,
+  buildAccessFilter,
+  fuseRankings,
   searchSimilarChunks,
   parsePdfFile,
+  DocumentParseError,
+  documentParsers,
+  findDocumentParser,
+  parseDocumentFile,
+  ingestDocument,
+  discardUpload,
+  buildAnswerPrompt,
   generateGeminiResponse,
+  streamGeminiResponse,
   initializeElasticsearch
 };
\ No newline at end of file
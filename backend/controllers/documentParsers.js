@@ -0,0 +1,225 @@
+const fs = require('fs');
+const mammoth = require('mammoth');
+const ExcelJS = require('exceljs');
+
+// Text extractors for the non-PDF formats we ingest. Every parser resolves to
+// { text, pages, pageCount, structure } where pages is [{ number, start, end }]
+// and structure.headings / structure.tableRows hold the character offsets of
+// lines the source marked as headings or table rows. The chunker uses these
+// hints instead of guessing.
+
+// Raised for files we cannot turn into text (unsupported type, scanned PDF...)
+class DocumentParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentParseError';
+  }
+}
+
+// Function to join classified lines into text, recording offsets of hinted lines.
+// lines: [{ text, kind: 'heading' | 'row' | null, page }]
+function assembleLines(lines) {
+  let text = '';
+  const headings = [];
+  const tableRows = [];
+  const pages = [];
+
+  lines.forEach((line, i) => {
+    if (i > 0) {
+      text += '\n';
+    }
+    const page = line.page || 1;
+    if (pages.length === 0 || pages[pages.length - 1].number !== page) {
+      if (pages.length > 0) {
+        pages[pages.length - 1].end = text.length;
+      }
+      pages.push({ number: page, start: text.length, end: text.length });
+    }
+
+    if (line.kind === 'heading') {
+      headings.push(text.length);
+    } else if (line.kind === 'row') {
+      tableRows.push(text.length);
+    }
+    text += line.text;
+  });
+
+  if (pages.length > 0) {
+    pages[pages.length - 1].end = text.length;
+  }
+
+  return { text, pages, pageCount: pages.length, structure: { headings, tableRows } };
+}
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', ldquo: '“', rdquo: '”', ndash: '–', mdash: '—', euro: '€', pound: '£', rupee: '₹' };
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&([a-z]+);/gi, (match, name) => named[name.toLowerCase()] ?? match);
+}
+
+const HEADING_MARK = '\u0002';
+const ROW_MARK = '\u0001';
+
+// Function to convert HTML into classified lines (headings, table rows, paragraphs)
+function htmlToLines(html) {
+  const stripInline = fragment => decodeEntities(fragment.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+  const marked = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<tr[^>]*>([\s\S]*?)<\/tr>/gi, (match, row) => {
+      const cells = [...row.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi)].map(cell => stripInline(cell[1]));
+      return `\n${ROW_MARK}${cells.join('\t')}\n`;
+    })
+    .replace(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi, (match, heading) => `\n${HEADING_MARK}${stripInline(heading)}\n`)
+    .replace(/<(br|hr)[^>]*>/gi, '\n')
+    .replace(/<\/?(p|div|li|ul|ol|table|thead|tbody|section|article|blockquote|pre|dt|dd)[^>]*>/gi, '\n');
+
+  return decodeEntities(marked.replace(/<[^>]+>/g, ''))
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.replace(/[\u0001\u0002\t]/g, '').trim().length > 0)
+    .map(line => {
+      if (line.startsWith(HEADING_MARK)) {
+        return { text: line.slice(1), kind: 'heading' };
+      }
+      if (line.startsWith(ROW_MARK)) {
+        return { text: line.slice(1), kind: 'row' };
+      }
+      return { text: line.replace(/[ \t]+/g, ' '), kind: null };
+    });
+}
+
+async function parseHtmlFile(filePath) {
+  return assembleLines(htmlToLines(fs.readFileSync(filePath, 'utf8')));
+}
+
+async function parseDocxFile(filePath) {
+  const { value: html } = await mammoth.convertToHtml({ path: filePath });
+  return assembleLines(htmlToLines(html));
+}
+
+async function parseMarkdownFile(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/)
+    .filter(line => !/^\s*\|?\s*:?-{3,}/.test(line)) // table separator rows
+    .map(line => {
+      const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        return { text: heading[1], kind: 'heading' };
+      }
+      if (/^\s*\|.*\|\s*$/.test(line)) {
+        const cells = line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+        return { text: cells.join('\t'), kind: 'row' };
+      }
+      const text = line
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__|`)/g, '')
+        .replace(/^\s*([-*+]|\d+\.)\s+/, '')
+        .trim();
+      return { text, kind: null };
+    });
+
+  return assembleLines(lines);
+}
+
+async function parseTextFile(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).map(line => ({ text: line, kind: null }));
+  return assembleLines(lines);
+}
+
+// Function to render a worksheet cell as text. Formulas show their cached
+// result and dates their calendar day.
+function spreadsheetCellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    if ('result' in value || 'formula' in value || 'sharedFormula' in value) {
+      return spreadsheetCellText(value.result);
+    }
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if ('text' in value) {
+      return spreadsheetCellText(value.text);
+    }
+    if ('error' in value) {
+      return String(value.error);
+    }
+  }
+  return String(value);
+}
+
+// Each worksheet becomes one "page" headed by the sheet name
+async function parseSpreadsheetFile(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const lines = [];
+
+  workbook.worksheets.forEach((worksheet, i) => {
+    const rows = [];
+    worksheet.eachRow(row => {
+      const cells = [];
+      for (let column = 1; column <= row.cellCount; column++) {
+        cells.push(spreadsheetCellText(row.getCell(column).value).trim());
+      }
+      if (cells.some(Boolean)) {
+        rows.push(cells);
+      }
+    });
+    if (rows.length === 0) {
+      return;
+    }
+    lines.push({ text: worksheet.name, kind: 'heading', page: i + 1 });
+    rows.forEach(cells => {
+      lines.push({ text: cells.join('\t'), kind: 'row', page: i + 1 });
+    });
+  });
+
+  return assembleLines(lines);
+}
+
+const parsers = [
+  {
+    name: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    parse: parseDocxFile
+  },
+  {
+    name: 'html',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    parse: parseHtmlFile
+  },
+  {
+    name: 'markdown',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown'],
+    parse: parseMarkdownFile
+  },
+  {
+    name: 'text',
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt'],
+    parse: parseTextFile
+  },
+  {
+    name: 'xlsx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    extensions: ['.xlsx'],
+    parse: parseSpreadsheetFile
+  }
+];
+
+module.exports = {
+  DocumentParseError,
+  assembleLines,
+  htmlToLines,
+  parsers
+};
@@ -0,0 +1,406 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { ingestDocument } = require('./documentController');
+
+// Registry of uploaded documents, kept in the `document_registry` index.
+// One record per logical document, keyed by documentId, holding its metadata
+// and version history. Chunks in the `documents` index carry document_id and
+// version; when a new version finishes indexing, chunks of older versions are
+// removed so only the current version is searchable.
+// Documents belong to their uploader (ownerId) and organization (orgId); with
+// visibility 'organization' everyone in that organization can read them, but
+// only the owner can add versions, change sharing or delete.
+
+const REGISTRY_INDEX = 'document_registry';
+const VISIBILITIES = ['private', 'organization'];
+
+// Function to compute the SHA-256 hash of an uploaded file
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Function to normalize tags given as an array or a comma separated string
+function parseTags(value) {
+  if (!value) {
+    return [];
+  }
+  let tags = value;
+  if (typeof value === 'string') {
+    try {
+      tags = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    } catch (error) {
+      tags = value.split(',');
+    }
+  }
+  return [...new Set((Array.isArray(tags) ? tags : [tags]).map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+// Versions that still count as "this file is already here" (failed uploads do not)
+function liveHashes(record) {
+  return [...new Set(record.versions.filter(version => version.status !== 'failed').map(version => version.contentHash))];
+}
+
+async function saveDocumentRecord(record, esClient) {
+  record.contentHashes = liveHashes(record);
+  record.updatedAt = new Date().toISOString();
+  await esClient.index({
+    index: REGISTRY_INDEX,
+    id: record.documentId,
+    body: record,
+    refresh: true
+  });
+  return record;
+}
+
+// Function to fetch a registry record, or null if it does not exist
+async function getDocumentRecord(documentId, esClient) {
+  try {
+    const response = await esClient.get({ index: REGISTRY_INDEX, id: documentId });
+    return response.found ? response._source : null;
+  } catch (error) {
+    if (error.meta && error.meta.statusCode === 404) {
+      return null;
+    }
+    console.error('Error fetching document record:', error);
+    throw error;
+  }
+}
+
+// Function to check whether a caller ({ userId, orgId, organizationWide }) may read a document
+function canReadDocument(record, caller) {
+  const sameOrganization = Boolean(caller.orgId) && record.orgId === caller.orgId;
+  return record.ownerId === caller.userId
+    || (sameOrganization && (record.visibility === 'organization' || Boolean(caller.organizationWide)));
+}
+
+// Function to check whether a caller may modify or delete a document
+function canManageDocument(record, caller) {
+  return record.ownerId === caller.userId;
+}
+
+// Function to find the caller's document that already has a version with this content hash
+async function findDocumentByHash(contentHash, esClient, ownerId) {
+  const searchResponse = await esClient.search({
+    index: REGISTRY_INDEX,
+    body: {
+      query: {
+        bool: {
+          filter: [
+            { term: { contentHashes: contentHash } },
+            { term: { ownerId } }
+          ]
+        }
+      },
+      size: 1
+    }
+  });
+
+  const hit = searchResponse.hits.hits[0];
+  return hit ? hit._source : null;
+}
+
+// Function to list the registry records a caller may read, newest first.
+// filters: { tag, documentType, scope: 'all' | 'mine' | 'organization' }
+async function listDocumentRecords(esClient, caller, filters = {}) {
+  let shared = null;
+  if (caller.orgId && caller.organizationWide) {
+    shared = { term: { orgId: caller.orgId } };
+  } else if (caller.orgId) {
+    shared = { bool: { filter: [{ term: { orgId: caller.orgId } }, { term: { visibility: 'organization' } }] } };
+  }
+  const filter = [];
+  if (filters.scope === 'mine' || !shared) {
+    filter.push({ term: { ownerId: caller.userId } });
+  } else if (filters.scope === 'organization') {
+    filter.push(shared);
+  } else {
+    filter.push({ bool: { should: [{ term: { ownerId: caller.userId } }, shared], minimum_should_match: 1 } });
+  }
+
+  if (filters.tag) {
+    filter.push({ term: { tags: filters.tag } });
+  }
+  if (filters.documentType) {
+    filter.push({ term: { documentType: filters.documentType } });
+  }
+
+  const searchResponse = await esClient.search({
+    index: REGISTRY_INDEX,
+    body: {
+      query: { bool: { filter } },
+      sort: [{ updatedAt: { order: 'desc' } }],
+      size: 100
+    }
+  });
+
+  return searchResponse.hits.hits.map(hit => hit._source);
+}
+
+// Function to add a new version to a document (or create the document when
+// `record` is null). The version starts out 'processing' until ingestion finishes.
+// upload: { originalName, title, uploader, orgId, visibility, tags, mimetype, documentType, contentHash }
+async function createDocumentVersion(record, upload, esClient) {
+  const now = new Date().toISOString();
+  const next = record || {
+    documentId: crypto.randomUUID(),
+    title: upload.title || upload.originalName.replace(/\.[^.]+$/, ''),
+    titleSource: upload.title ? 'user' : 'filename',
+    originalName: upload.originalName,
+    uploader: upload.uploader,
+    ownerId: upload.uploader,
+    orgId: upload.orgId || null,
+    visibility: upload.visibility || 'private',
+    uploadedAt: now,
+    createdAt: now,
+    pageCount: null,
+    contentHash: null,
+    tags: [],
+    documentType: upload.documentType || null,
+    format: null,
+    currentVersion: null,
+    status: 'processing',
+    versions: []
+  };
+
+  if (record && upload.title) {
+    next.title = upload.title;
+    next.titleSource = 'user';
+  }
+  if (upload.tags && upload.tags.length > 0) {
+    next.tags = [...new Set([...next.tags, ...upload.tags])];
+  }
+  if (upload.documentType) {
+    next.documentType = upload.documentType;
+  }
+
+  const version = next.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+  next.versions.push({
+    version,
+    originalName: upload.originalName,
+    contentHash: upload.contentHash,
+    mimetype: upload.mimetype,
+    uploader: upload.uploader,
+    uploadedAt: now,
+    status: 'processing',
+    jobId: null,
+    chunks: null,
+    pageCount: null,
+    error: null
+  });
+
+  await saveDocumentRecord(next, esClient);
+  return { record: next, version };
+}
+
+// Function to link a version to the ingestion job processing it
+async function setVersionJob(record, version, jobId, esClient) {
+  const entry = record.versions.find(item => item.version === version);
+  entry.jobId = jobId;
+  return saveDocumentRecord(record, esClient);
+}
+
+// Function to share a document with its organization or make it private again.
+// Chunks already indexed are updated in place.
+async function setDocumentVisibility(record, visibility, esClient) {
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new Error(`visibility must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+  record.visibility = visibility;
+  await saveDocumentRecord(record, esClient);
+  await esClient.updateByQuery({
+    index: 'documents',
+    body: {
+      query: { term: { document_id: record.documentId } },
+      script: {
+        source: 'ctx._source.visibility = params.visibility',
+        params: { visibility }
+      }
+    },
+    refresh: true
+  });
+  return record;
+}
+
+// Function to remove chunks of a document, optionally keeping one version
+async function deleteDocumentChunks(documentId, esClient, { keepVersion = null } = {}) {
+  const query = { bool: { filter: [{ term: { document_id: documentId } }] } };
+  if (keepVersion !== null) {
+    query.bool.must_not = [{ term: { version: keepVersion } }];
+  }
+  await esClient.deleteByQuery({
+    index: 'documents',
+    body: { query },
+    refresh: true
+  });
+}
+
+// Function to mark a version as indexed and make it the current version
+async function completeDocumentVersion(documentId, version, result, esClient) {
+  const record = await getDocumentRecord(documentId, esClient);
+  if (!record) {
+    // The document was deleted while this version was being processed
+    await deleteDocumentChunks(documentId, esClient);
+    return null;
+  }
+
+  const entry = record.versions.find(item => item.version === version);
+  Object.assign(entry, {
+    status: 'ready',
+    chunks: result.chunks,
+    pageCount: result.pageCount,
+    format: result.format,
+    redaction: result.redaction ? { total: result.redaction.total, counts: result.redaction.counts } : null,
+    error: null,
+    completedAt: new Date().toISOString()
+  });
+
+  // An older version finishing late (e.g. a retried job) must not replace a newer one
+  if (record.currentVersion === null || version > record.currentVersion) {
+    Object.assign(record, {
+      currentVersion: version,
+      status: 'ready',
+      originalName: entry.originalName,
+      uploadedAt: entry.uploadedAt,
+      pageCount: entry.pageCount,
+      contentHash: entry.contentHash,
+      format: entry.format
+    });
+    record.versions.forEach(item => {
+      if (item.version !== version && item.status === 'ready') {
+        item.status = 'superseded';
+      }
+    });
+    if (result.title && record.titleSource !== 'user') {
+      record.title = result.title;
+      record.titleSource = 'document';
+    }
+    await saveDocumentRecord(record, esClient);
+    await deleteDocumentChunks(documentId, esClient, { keepVersion: version });
+  } else {
+    entry.status = 'superseded';
+    await saveDocumentRecord(record, esClient);
+    await deleteDocumentChunks(documentId, esClient, { keepVersion: record.currentVersion });
+  }
+
+  return record;
+}
+
+// Function to record a failed version; the current version (if any) stays searchable
+async function failDocumentVersion(documentId, version, error, esClient) {
+  const record = await getDocumentRecord(documentId, esClient);
+  if (!record) {
+    return null;
+  }
+
+  const entry = record.versions.find(item => item.version === version);
+  entry.status = 'failed';
+  entry.error = error.message;
+  if (record.currentVersion === null) {
+    record.status = 'failed';
+  }
+  return saveDocumentRecord(record, esClient);
+}
+
+// Function to delete a document: its chunks, every version and the record
+async function deleteDocument(documentId, esClient) {
+  await deleteDocumentChunks(documentId, esClient);
+  await esClient.delete({ index: REGISTRY_INDEX, id: documentId, refresh: true });
+}
+
+// Job handler for registered uploads: ingest the file, then update the registry
+async function ingestRegisteredDocument(payload, esClient, onStage) {
+  try {
+    const result = await ingestDocument(payload, esClient, onStage);
+    if (payload.documentId) {
+      await completeDocumentVersion(payload.documentId, payload.version, result, esClient);
+    }
+    return { ...result, documentId: payload.documentId, version: payload.version };
+  } catch (error) {
+    if (payload.documentId) {
+      try {
+        await failDocumentVersion(payload.documentId, payload.version, error, esClient);
+      } catch (registryError) {
+        console.error('Error recording failed document version:', registryError);
+      }
+    }
+    throw error;
+  }
+}
+
+// Function to create the registry index if it does not exist
+async function initializeDocumentRegistry(esClient) {
+  try {
+    await esClient.indices.create({
+      index: REGISTRY_INDEX,
+      body: {
+        mappings: {
+          properties: {
+            documentId: { type: 'keyword' },
+            title: {
+              type: 'text',
+              fields: {
+                keyword: { type: 'keyword', ignore_above: 256 }
+              }
+            },
+            titleSource: { type: 'keyword' },
+            originalName: {
+              type: 'text',
+              fields: {
+                keyword: { type: 'keyword', ignore_above: 256 }
+              }
+            },
+            uploader: { type: 'keyword' },
+            ownerId: { type: 'keyword' },
+            orgId: { type: 'keyword' },
+            visibility: { type: 'keyword' },
+            uploadedAt: { type: 'date' },
+            createdAt: { type: 'date' },
+            updatedAt: { type: 'date' },
+            pageCount: { type: 'integer' },
+            contentHash: { type: 'keyword' },
+            contentHashes: { type: 'keyword' },
+            tags: { type: 'keyword' },
+            documentType: { type: 'keyword' },
+            format: { type: 'keyword' },
+            currentVersion: { type: 'integer' },
+            status: { type: 'keyword' },
+            versions: { type: 'object', enabled: false }
+          }
+        }
+      }
+    });
+    console.log(`Created Elasticsearch index: ${REGISTRY_INDEX}`);
+  } catch (error) {
+    if (error.meta && error.meta.body && error.meta.body.error &&
+        error.meta.body.error.type === 'resource_already_exists_exception') {
+      return;
+    }
+    console.error('Error initializing document registry:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  VISIBILITIES,
+  hashFile,
+  parseTags,
+  getDocumentRecord,
+  canReadDocument,
+  canManageDocument,
+  findDocumentByHash,
+  listDocumentRecords,
+  createDocumentVersion,
+  setVersionJob,
+  setDocumentVisibility,
+  completeDocumentVersion,
+  failDocumentVersion,
+  deleteDocument,
+  ingestRegisteredDocument,
+  initializeDocumentRegistry
+};
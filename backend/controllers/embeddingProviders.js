@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+// Embedding providers share one shape: { name, dimension, embed(text) }.
+// The active provider is picked by EMBEDDING_PROVIDER (huggingface | openai | local).
+
+const DEFAULT_HF_MODEL = 'sentence-transformers/all-MiniLM-L6-v2';
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+
+// Known output sizes, used when EMBEDDING_DIMS is not set
+const KNOWN_DIMENSIONS = {
+  'sentence-transformers/all-MiniLM-L6-v2': 384,
+  'sentence-transformers/all-mpnet-base-v2': 768,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536,
+  'nomic-embed-text': 768
+};
+
+function resolveDimension(model, configured, fallback) {
+  const dims = parseInt(configured, 10);
+  if (!Number.isNaN(dims) && dims > 0) {
+    return dims;
+  }
+  return KNOWN_DIMENSIONS[model] || fallback;
+}
+
+// HuggingFace inference API (feature-extraction pipeline)
+function createHuggingFaceProvider(options = {}) {
+  const model = options.model || process.env.HUGGINGFACE_EMBEDDING_MODEL || DEFAULT_HF_MODEL;
+  const apiKey = options.apiKey || process.env.HUGGINGFACE_API_KEY;
+  const dimension = resolveDimension(model, options.dimension || process.env.EMBEDDING_DIMS, 384);
+
+  return {
+    name: 'huggingface',
+    model,
+    dimension,
+    async embed(text) {
+      const response = await fetch(
+        `https://api-inference.huggingface.co/pipeline/feature-extraction/${model}`,
+        {
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          method: "POST",
+          body: JSON.stringify({ inputs: text }),
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    }
+  };
+}
+
+// Any endpoint that speaks the OpenAI /embeddings protocol (OpenAI, Ollama, vLLM, LM Studio...)
+function createOpenAICompatibleProvider(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.OPENAI_EMBEDDING_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const model = options.model || process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_OPENAI_MODEL;
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  const dimension = resolveDimension(model, options.dimension || process.env.EMBEDDING_DIMS, 1536);
+
+  return {
+    name: 'openai',
+    model,
+    dimension,
+    async embed(text) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl}/embeddings`, {
+        headers,
+        method: 'POST',
+        body: JSON.stringify({ model, input: text }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (!data.data || !data.data[0] || !Array.isArray(data.data[0].embedding)) {
+        throw new Error('Unexpected response from embeddings endpoint');
+      }
+      return data.data[0].embedding;
+    }
+  };
+}
+
+function hashToken(token, seed) {
+  return crypto.createHash('md5').update(`${seed}:${token}`).digest().readUInt32LE(0);
+}
+
+// Deterministic, network-free embedder based on feature hashing of words and
+// character trigrams. Not semantically strong, but stable across machines,
+// which is what offline development and tests need.
+function createLocalProvider(options = {}) {
+  const dimension = resolveDimension(null, options.dimension || process.env.EMBEDDING_DIMS, 384);
+
+  return {
+    name: 'local',
+    model: 'local-hashing',
+    dimension,
+    async embed(text) {
+      const vector = new Array(dimension).fill(0);
+      const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[.,][\p{N}]+)*/gu) || [];
+
+      const features = [];
+      words.forEach(word => {
+        features.push({ token: `w:${word}`, weight: 1 });
+        const padded = `#${word}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          features.push({ token: `c:${padded.slice(i, i + 3)}`, weight: 0.5 });
+        }
+      });
+
+      features.forEach(({ token, weight }) => {
+        const index = hashToken(token, 0) % dimension;
+        const sign = hashToken(token, 1) % 2 === 0 ? 1 : -1;
+        vector[index] += sign * weight;
+      });
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      if (norm === 0) {
+        // Elasticsearch rejects cosine similarity on zero-magnitude vectors
+        vector[0] = 1;
+        return vector;
+      }
+      return vector.map(value => value / norm);
+    }
+  };
+}
+
+const providerFactories = {
+  huggingface: createHuggingFaceProvider,
+  openai: createOpenAICompatibleProvider,
+  local: createLocalProvider
+};
+
+// Function to build an embedding provider from configuration
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'huggingface', options = {}) {
+  const factory = providerFactories[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  createHuggingFaceProvider,
+  createOpenAICompatibleProvider,
+  createLocalProvider
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+// FX rates for converting holdings into a portfolio's base currency. A rate
+// for a pair such as USDINR is the number of INR per USD. Rates are looked
+// up in FX_RATES_FILE first and then in the market data layer, where a pair
+// is quoted like any other symbol. Missing pairs are derived from the inverse
+// pair or by crossing through USD.
+// Rates file: CSV with columns pair (or base and quote), rate and optionally
+// date; or JSON, either { "asOf": "2024-03-28", "rates": { "USDINR": 83.4 } }
+// or the rates object on its own.
+
+const CROSS_CURRENCY = 'USD';
+
+// Function to read a rates file into { PAIR: { rate, asOf } }
+async function readRatesFile(filePath) {
+  const rates = {};
+  const add = (pair, rate, asOf) => {
+    const value = parseFloat(String(rate).replace(/,/g, ''));
+    const key = String(pair || '').replace(/[^a-z]/gi, '').toUpperCase();
+    if (key.length === 6 && value > 0 && (!rates[key] || (asOf || '') >= (rates[key].asOf || ''))) {
+      rates[key] = { rate: value, asOf: asOf || null };
+    }
+  };
+
+  if (/\.json$/i.test(filePath)) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entries = data.rates || data;
+    Object.entries(entries).forEach(([pair, rate]) => {
+      if (pair !== 'asOf') {
+        add(pair, rate, data.asOf);
+      }
+    });
+    return rates;
+  }
+
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.toLowerCase().trim().replace(/\s+/g, '_') }))
+      .on('data', row => add(row.pair || `${row.base || ''}${row.quote || ''}`, row.rate, row.date))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+  return rates;
+}
+
+// Function to create the FX rate source. Options: filePath (default
+// FX_RATES_FILE) and marketData, a market data provider.
+function createFxRates(options = {}) {
+  const filePath = options.filePath || process.env.FX_RATES_FILE;
+  const resolvedPath = filePath ? path.resolve(filePath) : null;
+  const marketData = options.marketData || null;
+  let loaded = null;
+
+  // The file is re-read when it changes on disk
+  async function fileRates() {
+    if (!resolvedPath) {
+      return {};
+    }
+    const { mtimeMs } = fs.statSync(resolvedPath);
+    if (!loaded || loaded.mtimeMs !== mtimeMs) {
+      loaded = { mtimeMs, rates: readRatesFile(resolvedPath) };
+    }
+    return loaded.rates;
+  }
+
+  async function directRate(from, to) {
+    const pair = `${from}${to}`;
+    const fromFile = (await fileRates())[pair];
+    if (fromFile) {
+      return { rate: fromFile.rate, asOf: fromFile.asOf, source: 'file' };
+    }
+    if (marketData) {
+      const quote = await marketData.getQuote(pair);
+      if (quote && quote.price > 0) {
+        return { rate: quote.price, asOf: quote.asOf || null, source: 'market' };
+      }
+    }
+    return null;
+  }
+
+  async function pairRate(from, to) {
+    const direct = await directRate(from, to);
+    if (direct) {
+      return direct;
+    }
+    const inverse = await directRate(to, from);
+    return inverse ? { ...inverse, rate: 1 / inverse.rate } : null;
+  }
+
+  return {
+    source: [resolvedPath ? 'file' : null, marketData ? 'market' : null].filter(Boolean).join('+') || 'none',
+    // Resolves to { rate, asOf, source } or null when no rate is known
+    async getRate(from, to) {
+      from = String(from).toUpperCase();
+      to = String(to).toUpperCase();
+      if (from === to) {
+        return { rate: 1, asOf: null, source: 'identity' };
+      }
+      try {
+        const rate = await pairRate(from, to);
+        if (rate || from === CROSS_CURRENCY || to === CROSS_CURRENCY) {
+          return rate;
+        }
+        const [first, second] = await Promise.all([pairRate(from, CROSS_CURRENCY), pairRate(CROSS_CURRENCY, to)]);
+        return first && second
+          ? { rate: first.rate * second.rate, asOf: [first.asOf, second.asOf].filter(Boolean).sort()[0] || null, source: 'cross' }
+          : null;
+      } catch (error) {
+        console.error(`Error fetching FX rate ${from}${to}:`, error);
+        return null;
+      }
+    }
+  };
+}
+
+// Function to look up the rate into `baseCurrency` for each currency.
+// Returns { rates: { CUR: rate }, asOf, missing: [CUR] }.
+async function getFxRates(currencies, baseCurrency, fxRates) {
+  const rates = { [baseCurrency]: 1 };
+  const missing = [];
+  const dates = [];
+
+  for (const currency of new Set(currencies)) {
+    if (currency === baseCurrency) {
+      continue;
+    }
+    const found = fxRates ? await fxRates.getRate(currency, baseCurrency) : null;
+    if (found) {
+      rates[currency] = found.rate;
+      if (found.asOf) {
+        dates.push(found.asOf);
+      }
+    } else {
+      missing.push(currency);
+    }
+  }
+
+  return { rates, asOf: dates.sort()[0] || null, missing };
+}
+
+module.exports = {
+  readRatesFile,
+  createFxRates,
+  getFxRates
+};
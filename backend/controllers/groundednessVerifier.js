@@ -0,0 +1,275 @@
+const { sentenceSpans } = require('./chunker');
+
+// Post-generation check that an answer is supported by the retrieved chunks.
+// The answer is split into claims (sentences). Each claim is checked against
+// the passages it cites, falling back to the other retrieved passages:
+//   - most of its content words must appear in one passage, and
+//   - every number, percentage, amount and date in it must appear in that
+//     same passage (compared by value, so "Rs. 1,25,000" matches "Rs. 1.25 lakh").
+// Unsupported claims are removed (GROUNDEDNESS_MODE=remove, the default) or
+// marked "[unverified]" (flag). `confidence` is the mean claim support; below
+// GROUNDEDNESS_MIN_CONFIDENCE (default 0.5) the answer is replaced with an
+// "insufficient information" response. GROUNDEDNESS_MODE=off skips the check.
+
+const MODES = ['remove', 'flag', 'off'];
+const INSUFFICIENT_INFORMATION_ANSWER = "I don't have enough support in the uploaded documents to answer this reliably. Try rephrasing the question, or upload a document that covers it.";
+const UNVERIFIED_MARK = '[unverified]';
+
+const MARKER_PATTERN = /\[(\d+)\]/g;
+const LIST_PREFIX_PATTERN = /^(\s*(?:[-*•]|\d+[.)]|#{1,6})\s+)/;
+const ABSTAIN_PATTERN = /(does not|doesn't|do not|don't) (contain|have|provide|include) (enough|sufficient|any) (information|details)|(cannot|can't|unable to) (answer|determine|find)/i;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'is', 'are', 'was', 'were', 'be',
+  'been', 'being', 'by', 'with', 'as', 'at', 'it', 'its', 'this', 'that', 'these', 'those', 'from', 'which',
+  'who', 'can', 'could', 'will', 'would', 'shall', 'should', 'may', 'might', 'must', 'has', 'have', 'had',
+  'do', 'does', 'did', 'not', 'no', 'if', 'than', 'then', 'there', 'their', 'they', 'them', 'you', 'your',
+  'also', 'any', 'all', 'some', 'such', 'per', 'according', 'context', 'document', 'documents', 'based',
+  'provided', 'states', 'stated', 'mentioned', 'mentions', 'passage', 'source'
+]);
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const SCALES = { thousand: 1e3, lakh: 1e5, lakhs: 1e5, lac: 1e5, crore: 1e7, crores: 1e7, cr: 1e7, million: 1e6, mn: 1e6, billion: 1e9, bn: 1e9 };
+
+// Date formats, most specific first; numeric dates are read day-first
+const DATE_PATTERNS = [
+  { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}\\.?,?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], m[2], m[1]] },
+  { pattern: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], m[1], m[2]] },
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parts: m => [m[1], m[2], m[3]] },
+  { pattern: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/g, parts: m => (parseInt(m[2], 10) > 12 ? [m[3], m[1], m[2]] : [m[3], m[2], m[1]]) },
+  { pattern: new RegExp(`\\b${MONTH_NAME}\\.?,?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[2], m[1], null] }
+];
+const NUMBER_PATTERN = /(\d[\d,]*(?:\.\d+)?)(?:\s*(%|percent\b|per cent\b))?(?:\s+(thousand|lakhs?|lac|crores?|cr|million|mn|billion|bn)\b)?/gi;
+
+function monthNumber(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : MONTHS[value.slice(0, 3).toLowerCase()];
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Function to pull dates, percentages and other numbers out of text as
+// comparable keys, e.g. "date:2018-01-31", "month:2024-03", "percent:12.5", "number:125000"
+function extractFacts(text) {
+  const facts = [];
+  let rest = String(text).replace(MARKER_PATTERN, ' ');
+
+  DATE_PATTERNS.forEach(({ pattern, parts }) => {
+    rest = rest.replace(pattern, (...match) => {
+      const [year, month, day] = parts(match);
+      const monthValue = monthNumber(month);
+      if (!monthValue || monthValue > 12 || (day && parseInt(day, 10) > 31)) {
+        return match[0];
+      }
+      facts.push(day
+        ? { type: 'date', key: `date:${year}-${pad(monthValue)}-${pad(day)}`, text: match[0] }
+        : { type: 'date', key: `month:${year}-${pad(monthValue)}`, text: match[0] });
+      return ' ';
+    });
+  });
+
+  for (const match of rest.matchAll(NUMBER_PATTERN)) {
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    if (Number.isNaN(value)) {
+      continue;
+    }
+    if (match[2]) {
+      facts.push({ type: 'percentage', key: `percent:${value}`, text: match[0].trim() });
+    } else {
+      const scale = match[3] ? SCALES[match[3].toLowerCase()] : 1;
+      facts.push({ type: 'number', key: `number:${Number((value * scale).toPrecision(12))}`, text: match[0].trim() });
+    }
+  }
+  return facts;
+}
+
+function stem(word) {
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+// Content words of a text, lightly stemmed; numbers are checked as facts instead
+function contentWords(text) {
+  return (String(text).toLowerCase().replace(MARKER_PATTERN, ' ').match(/\p{L}[\p{L}\p{N}'-]*/gu) || [])
+    .map(word => word.replace(/['-]+$/, ''))
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// A passage date also supports a claim that only gives its month or year
+function describePassage(content) {
+  const facts = new Set();
+  extractFacts(content).forEach(({ key }) => {
+    facts.add(key);
+    const date = key.match(/^(?:date|month):(\d{4})-(\d{2})/);
+    if (date) {
+      facts.add(`month:${date[1]}-${date[2]}`);
+      facts.add(`number:${parseInt(date[1], 10)}`);
+    }
+  });
+  return { words: new Set(contentWords(content)), facts };
+}
+
+// Function to score one claim against one passage
+function scoreAgainst(claim, passage, minOverlap) {
+  const coveredWords = claim.words.filter(word => passage.words.has(word)).length;
+  const overlap = claim.words.length > 0 ? coveredWords / claim.words.length : 1;
+  const missingFacts = claim.facts.filter(fact => !passage.facts.has(fact.key));
+  const factSupport = claim.facts.length > 0 ? 1 - missingFacts.length / claim.facts.length : 1;
+
+  // A wrong figure is worse than a paraphrase, so facts weigh as much as all the words together
+  const score = claim.facts.length > 0 ? (overlap + factSupport) / 2 : overlap;
+  return {
+    score: missingFacts.length > 0 ? Math.min(score, 0.3) : score,
+    overlap,
+    missingFacts,
+    supported: missingFacts.length === 0 && overlap >= minOverlap
+  };
+}
+
+// Function to check one claim: cited passages first, then any retrieved passage
+function checkClaim(text, passages, minOverlap) {
+  const markers = [...text.matchAll(MARKER_PATTERN)].map(match => parseInt(match[1], 10));
+  const claim = { words: contentWords(text), facts: extractFacts(text) };
+
+  const rank = indices => indices
+    .map(index => ({ marker: index + 1, ...scoreAgainst(claim, passages[index], minOverlap) }))
+    .sort((a, b) => Number(b.supported) - Number(a.supported) || b.score - a.score)[0] || null;
+
+  const cited = markers.map(marker => marker - 1).filter(index => index >= 0 && index < passages.length);
+  let best = rank(cited);
+  const issues = [];
+
+  if (!best || !best.supported) {
+    const other = rank(passages.map((passage, index) => index).filter(index => !cited.includes(index)));
+    if (other && (other.supported || !best || other.score > best.score)) {
+      if (other.supported && cited.length > 0) {
+        issues.push({ type: 'citation', message: `Supported by passage [${other.marker}], not by the cited passage` });
+      }
+      best = other;
+    }
+  }
+
+  if (best) {
+    best.missingFacts.forEach(fact => {
+      issues.push({ type: fact.type, value: fact.text, message: `${fact.text} does not appear in the sources` });
+    });
+    if (best.overlap < minOverlap) {
+      issues.push({ type: 'wording', message: 'Most of this statement does not appear in the sources' });
+    }
+  }
+
+  return {
+    text: text.replace(MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1').trim(),
+    markers,
+    supported: Boolean(best && best.supported),
+    score: best ? Number(best.score.toFixed(3)) : 0,
+    supportingMarker: best && best.supported ? best.marker : null,
+    issues
+  };
+}
+
+// Sentences ending in ":" introduce a list and carry no claim of their own,
+// nor do short replies such as "Yes." that have under two content words and no figures
+function isClaim(sentence) {
+  const plain = sentence.replace(MARKER_PATTERN, '').trim();
+  // A sentence that declines ("the documents do not provide any details ...") asserts nothing
+  if (/:$/.test(plain) || ABSTAIN_PATTERN.test(plain)) {
+    return false;
+  }
+  return contentWords(plain).length >= 2 || extractFacts(plain).length > 0;
+}
+
+// Function to verify an answer against the chunks it was generated from.
+// options: { mode, minConfidence, minOverlap }. Returns { answer, verification }
+// where verification is { mode, confidence, abstained, claims, removedClaims }.
+function verifyAnswer(answer, chunks, options = {}) {
+  const mode = options.mode || process.env.GROUNDEDNESS_MODE || 'remove';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown groundedness mode "${mode}". Expected one of: ${MODES.join(', ')}`);
+  }
+  if (mode === 'off') {
+    return { answer, verification: { mode, confidence: null, abstained: false, claims: [], removedClaims: 0 } };
+  }
+
+  const envMinConfidence = parseFloat(process.env.GROUNDEDNESS_MIN_CONFIDENCE);
+  const minConfidence = options.minConfidence ?? (Number.isNaN(envMinConfidence) ? 0.5 : envMinConfidence);
+  const minOverlap = options.minOverlap ?? 0.6;
+  const abstain = (claims, confidence = 0) => ({
+    answer: INSUFFICIENT_INFORMATION_ANSWER,
+    verification: { mode, confidence, abstained: true, claims, removedClaims: 0 }
+  });
+
+  // Nothing to check against
+  if (chunks.length === 0) {
+    return abstain([]);
+  }
+
+  const passages = chunks.map(chunk => describePassage(chunk.content));
+  const claims = [];
+
+  // Check sentence by sentence, keeping each line's list or heading prefix
+  const lines = String(answer).split('\n').map(line => {
+    const prefix = (line.match(LIST_PREFIX_PATTERN) || [''])[0];
+    const body = line.slice(prefix.length);
+    const sentences = sentenceSpans(body).map(({ start, end }) => {
+      const sentence = body.slice(start, end);
+      if (!isClaim(sentence)) {
+        return { sentence, claim: null };
+      }
+      const claim = checkClaim(sentence, passages, minOverlap);
+      claims.push(claim);
+      return { sentence, claim };
+    });
+    return { line, prefix, sentences };
+  });
+
+  // No sentence makes a claim, e.g. the model declined to answer
+  if (claims.length === 0) {
+    return abstain([]);
+  }
+
+  const confidence = Number((claims.reduce((sum, claim) => sum + claim.score, 0) / claims.length).toFixed(3));
+  if (confidence < minConfidence) {
+    return abstain(claims, confidence);
+  }
+
+  let removedClaims = 0;
+  const rebuilt = lines.flatMap(({ line, prefix, sentences }) => {
+    if (!sentences.some(({ claim }) => claim && !claim.supported)) {
+      return [line];
+    }
+    const kept = sentences.flatMap(({ sentence, claim }) => {
+      if (!claim || claim.supported) {
+        return [sentence];
+      }
+      if (mode === 'flag') {
+        return [`${sentence} ${UNVERIFIED_MARK}`];
+      }
+      removedClaims++;
+      return [];
+    });
+    // Drop a line whose only claims were removed
+    return kept.some(sentence => isClaim(sentence)) ? [prefix + kept.join(' ')] : [];
+  });
+
+  // Removing every claim leaves nothing to answer with
+  if (removedClaims === claims.length) {
+    return abstain(claims, confidence);
+  }
+
+  return {
+    answer: rebuilt.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    verification: { mode, confidence, abstained: false, claims, removedClaims }
+  };
+}
+
+module.exports = {
+  MODES,
+  INSUFFICIENT_INFORMATION_ANSWER,
+  extractFacts,
+  verifyAnswer
+};
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Background job queue backed by a JSON file, so queued and interrupted jobs
+// are picked up again after a restart. Handlers are registered per job type
+// and receive (job, update), where update({ stage, progress }) reports status.
+// A job fails for good once it has used maxAttempts or its error is marked
+// `permanent`; the type's onFinalFailure hook then cleans up after it.
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+function createJobQueue({ storePath = path.join('data', 'jobs.json'), concurrency = 1, maxAttempts = 3 } = {}) {
+  const handlers = {};
+  const finalFailureHooks = {};
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+  let started = false;
+
+  // Load persisted jobs; anything that was running when the server stopped is queued again
+  if (fs.existsSync(storePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      saved.forEach(job => {
+        if (job.status === 'running') {
+          job.status = 'queued';
+        }
+        jobs.set(job.id, job);
+        if (job.status === 'queued') {
+          waiting.push(job.id);
+        }
+      });
+    } catch (error) {
+      console.error('Error loading job store, starting empty:', error);
+    }
+  }
+
+  function persist() {
+    const tmpPath = `${storePath}.tmp`;
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify([...jobs.values()], null, 2));
+    fs.renameSync(tmpPath, storePath);
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    persist();
+  }
+
+  async function run(job) {
+    running++;
+    update(job, { status: 'running', attempts: job.attempts + 1, error: null });
+
+    try {
+      const result = await handlers[job.type](job, ({ stage, progress }) => {
+        const nextStage = stage || job.stage;
+        const nextProgress = progress === undefined ? job.progress : Math.round(progress);
+        // Skip writes that would not change what a poller sees
+        if (nextStage !== job.stage || nextProgress !== job.progress) {
+          update(job, { stage: nextStage, progress: nextProgress });
+        }
+      });
+      update(job, { status: 'completed', stage: 'done', progress: 100, result: result ?? null });
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      const final = Boolean(error.permanent) || job.attempts >= maxAttempts;
+      update(job, {
+        status: 'failed',
+        final,
+        error: {
+          message: error.message,
+          details: error.report ? error.report.failed || error.report : undefined
+        }
+      });
+      if (final) {
+        await finalize(job);
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  }
+
+  // Run the type's cleanup once a job can no longer be retried
+  async function finalize(job) {
+    const hook = finalFailureHooks[job.type];
+    if (!hook) {
+      return;
+    }
+    try {
+      await hook(job);
+    } catch (error) {
+      console.error(`Error cleaning up failed job ${job.id}:`, error);
+    }
+  }
+
+  function drain() {
+    if (!started) {
+      return;
+    }
+    while (running < concurrency && waiting.length > 0) {
+      const job = jobs.get(waiting.shift());
+      if (!job || job.status !== 'queued') {
+        continue;
+      }
+      if (!handlers[job.type]) {
+        update(job, { status: 'failed', error: { message: `No handler registered for job type ${job.type}` } });
+        continue;
+      }
+      run(job);
+    }
+  }
+
+  return {
+    // options.onFinalFailure(job) runs when a job of this type fails for good
+    register(type, handler, options = {}) {
+      handlers[type] = handler;
+      if (options.onFinalFailure) {
+        finalFailureHooks[type] = options.onFinalFailure;
+      }
+    },
+
+    enqueue(type, payload) {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        attempts: 0,
+        final: false,
+        payload,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      jobs.set(job.id, job);
+      waiting.push(job.id);
+      persist();
+      drain();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    // Re-queue a failed job; `payloadChanges` can adjust its payload (e.g. to resume)
+    retry(id, payloadChanges = {}) {
+      const job = jobs.get(id);
+      if (!job) {
+        return null;
+      }
+      if (job.status !== 'failed') {
+        throw new Error(`Only failed jobs can be retried (job is ${job.status})`);
+      }
+      if (job.final) {
+        throw new Error(`Job ${job.id} failed permanently and cannot be retried`);
+      }
+      update(job, {
+        status: 'queued',
+        stage: 'queued',
+        progress: 0,
+        payload: { ...job.payload, ...payloadChanges }
+      });
+      waiting.push(job.id);
+      drain();
+      return job;
+    },
+
+    // Begin processing; call once handlers are registered and services are ready
+    start() {
+      started = true;
+      const pending = [...jobs.values()].filter(job => ACTIVE_STATUSES.includes(job.status)).length;
+      if (pending > 0) {
+        console.log(`Resuming ${pending} queued job(s)`);
+      }
+      drain();
+    }
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,354 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// LLM client shared by every generation call. Backends implement
+// generate(prompt, { signal }) -> text and stream(prompt, { signal }), an async
+// iterable of { delta } events ending with one { usage } event. The client adds
+// timeouts, retries with exponential backoff and wraps every failure in an LLMError.
+// Configured by LLM_PROVIDER (gemini | openai | fake), LLM_MODEL,
+// LLM_BASE_URL, LLM_API_KEY, LLM_TIMEOUT_MS and LLM_MAX_RETRIES.
+
+class LLMError extends Error {
+  constructor(message, { provider, code = 'provider_error', status, retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || (status >= 500 && status < 600);
+}
+
+// Gemini through the official SDK
+function createGeminiBackend(options = {}) {
+  const modelName = options.model || 'gemini-1.5-flash';
+  const genAI = new GoogleGenerativeAI(options.apiKey || process.env.GEMINI_API_KEY);
+  const model = genAI.getGenerativeModel({ model: modelName });
+
+  return {
+    provider: 'gemini',
+    model: modelName,
+    async generate(prompt, { signal } = {}) {
+      try {
+        const result = await model.generateContent(prompt, { signal });
+        const response = await result.response;
+        return response.text();
+      } catch (error) {
+        if (error instanceof LLMError || (signal && signal.aborted)) {
+          throw error;
+        }
+        throw new LLMError(`Gemini request failed: ${error.message}`, {
+          provider: 'gemini',
+          code: error.status ? 'http' : 'provider_error',
+          status: error.status,
+          retryable: error.status ? isRetryableStatus(error.status) : true,
+          cause: error
+        });
+      }
+    },
+    async *stream(prompt, { signal } = {}) {
+      const result = await model.generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) {
+          yield { delta: text };
+        }
+      }
+      const response = await result.response;
+      const usage = response.usageMetadata || {};
+      yield {
+        usage: {
+          promptTokens: usage.promptTokenCount ?? null,
+          completionTokens: usage.candidatesTokenCount ?? null,
+          totalTokens: usage.totalTokenCount ?? null
+        }
+      };
+    }
+  };
+}
+
+// Function to read Server-Sent Events "data:" payloads from a fetch response body
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+}
+
+// OpenAI-compatible /chat/completions (OpenAI, Ollama, vLLM, LM Studio...)
+function createOpenAICompatibleBackend(options = {}) {
+  const baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const modelName = options.model || 'llama3.1';
+  const apiKey = options.apiKey;
+
+  async function request(prompt, signal, extraBody) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal,
+        body: JSON.stringify({
+          model: modelName,
+          messages: [{ role: 'user', content: prompt }],
+          ...extraBody
+        })
+      });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      throw new LLMError(`Request to ${baseUrl} failed: ${error.message}`, {
+        provider: 'openai',
+        code: 'network',
+        retryable: true,
+        cause: error
+      });
+    }
+
+    if (!response.ok) {
+      throw new LLMError(`HTTP error! status: ${response.status}`, {
+        provider: 'openai',
+        code: 'http',
+        status: response.status,
+        retryable: isRetryableStatus(response.status)
+      });
+    }
+    return response;
+  }
+
+  return {
+    provider: 'openai',
+    model: modelName,
+    async generate(prompt, { signal } = {}) {
+      const response = await request(prompt, signal, {});
+      const data = await response.json();
+      const text = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      if (typeof text !== 'string') {
+        throw new LLMError('Unexpected response from chat completions endpoint', {
+          provider: 'openai',
+          code: 'empty_response'
+        });
+      }
+      return text;
+    },
+    async *stream(prompt, { signal } = {}) {
+      const response = await request(prompt, signal, { stream: true, stream_options: { include_usage: true } });
+      let usage = null;
+      for await (const payload of readEventStream(response.body)) {
+        if (payload === '[DONE]') {
+          break;
+        }
+        const data = JSON.parse(payload);
+        const delta = data.choices && data.choices[0] && data.choices[0].delta && data.choices[0].delta.content;
+        if (delta) {
+          yield { delta };
+        }
+        if (data.usage) {
+          usage = data.usage;
+        }
+      }
+      yield {
+        usage: {
+          promptTokens: usage ? usage.prompt_tokens : null,
+          completionTokens: usage ? usage.completion_tokens : null,
+          totalTokens: usage ? usage.total_tokens : null
+        }
+      };
+    }
+  };
+}
+
+// Scripted backend for tests. Each call consumes the next entry of `script`
+// (the last entry repeats); an entry may be a string, an Error to throw, or a
+// function receiving the prompt. Every prompt is recorded in `calls`.
+// Streaming yields the scripted text word by word.
+function createFakeBackend(options = {}) {
+  const script = options.script && options.script.length > 0 ? options.script : ['This is a scripted answer.'];
+  const calls = [];
+
+  async function generate(prompt) {
+    const step = script[Math.min(calls.length, script.length - 1)];
+    calls.push(prompt);
+    if (step instanceof Error) {
+      throw step;
+    }
+    return typeof step === 'function' ? step(prompt, calls.length - 1) : step;
+  }
+
+  return {
+    provider: 'fake',
+    model: options.model || 'fake',
+    calls,
+    generate,
+    async *stream(prompt, { signal } = {}) {
+      const text = await generate(prompt);
+      for (const delta of text.match(/\S+\s*/g) || []) {
+        if (signal && signal.aborted) {
+          return;
+        }
+        yield { delta };
+      }
+      const promptTokens = prompt.split(/\s+/).length;
+      const completionTokens = text.split(/\s+/).length;
+      yield { usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens } };
+    }
+  };
+}
+
+const backendFactories = {
+  gemini: createGeminiBackend,
+  openai: createOpenAICompatibleBackend,
+  fake: createFakeBackend
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run one backend call, aborting it once timeoutMs has elapsed
+async function callWithTimeout(backend, prompt, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LLMError(`LLM request timed out after ${timeoutMs}ms`, {
+        provider: backend.provider,
+        code: 'timeout',
+        retryable: true
+      }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([backend.generate(prompt, { signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Function to build an LLM client from configuration
+function createLLMClient(config = {}) {
+  const provider = String(config.provider || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = backendFactories[provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${provider}". Expected one of: ${Object.keys(backendFactories).join(', ')}`);
+  }
+
+  const backend = factory({
+    model: config.model || process.env.LLM_MODEL,
+    baseUrl: config.baseUrl || process.env.LLM_BASE_URL,
+    apiKey: config.apiKey || process.env.LLM_API_KEY,
+    script: config.script
+  });
+
+  const timeoutMs = config.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000;
+  const envRetries = parseInt(process.env.LLM_MAX_RETRIES, 10);
+  const maxRetries = config.maxRetries ?? (Number.isNaN(envRetries) ? 2 : Math.max(envRetries, 0));
+  const backoffMs = config.backoffMs ?? 500;
+
+  return {
+    provider: backend.provider,
+    model: backend.model,
+    backend,
+    async generate(prompt) {
+      let lastError;
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        try {
+          return await callWithTimeout(backend, prompt, timeoutMs);
+        } catch (error) {
+          lastError = error instanceof LLMError
+            ? error
+            : new LLMError(error.message, { provider: backend.provider, cause: error });
+
+          if (!lastError.retryable || attempt === maxRetries) {
+            break;
+          }
+          const delay = backoffMs * 2 ** attempt;
+          console.warn(`LLM call failed (${lastError.code}), retrying in ${delay}ms...`);
+          await sleep(delay);
+        }
+      }
+      throw lastError;
+    },
+
+    // Stream { delta } / { usage } events. Connection failures before the first
+    // event are retried; once text has been sent the error is passed on.
+    // The request is aborted if `signal` fires or no event arrives within timeoutMs.
+    async *stream(prompt, { signal } = {}) {
+      for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (signal) {
+          if (signal.aborted) {
+            return;
+          }
+          signal.addEventListener('abort', abort, { once: true });
+        }
+
+        let started = false;
+        let timer;
+        const resetTimer = () => {
+          clearTimeout(timer);
+          timer = setTimeout(abort, timeoutMs);
+        };
+
+        try {
+          resetTimer();
+          for await (const event of backend.stream(prompt, { signal: controller.signal })) {
+            started = true;
+            resetTimer();
+            yield event;
+          }
+          return;
+        } catch (error) {
+          if (signal && signal.aborted) {
+            return;
+          }
+          const wrapped = error instanceof LLMError
+            ? error
+            : controller.signal.aborted
+              ? new LLMError(`LLM stream stalled for ${timeoutMs}ms`, { provider: backend.provider, code: 'timeout', retryable: true })
+              : new LLMError(error.message, { provider: backend.provider, retryable: !error.status || isRetryableStatus(error.status), status: error.status, cause: error });
+
+          if (started || !wrapped.retryable || attempt >= maxRetries) {
+            throw wrapped;
+          }
+          const delay = backoffMs * 2 ** attempt;
+          console.warn(`LLM stream failed (${wrapped.code}), retrying in ${delay}ms...`);
+          await sleep(delay);
+        } finally {
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener('abort', abort);
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  LLMError,
+  createLLMClient
+};
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+// Market data providers share one shape:
+//   { name, getQuote(symbol), getSector(symbol), getHistory(symbol, { from, to }) }
+// getQuote resolves to { symbol, price, currency, asOf, previousClose } or null,
+// getSector to { sector, industry } or null, and getHistory to
+// [{ date, close }] sorted by date (empty when unknown).
+// The active provider is picked by MARKET_DATA_PROVIDER (file | none); it
+// defaults to "file" when MARKET_DATA_FILE is set. Every provider is wrapped
+// in a cache (see createCachedProvider).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+  return Number.isNaN(number) ? null : number;
+}
+
+function toDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+// Function to read a price file into { SYMBOL: { sector, industry, currency, name, history } }.
+// CSV: one row per symbol and date, with columns symbol, date, close and
+// optionally currency, sector, industry, name.
+// JSON: the same rows as an array, or an object keyed by symbol:
+//   { "INFY": { "sector": "IT", "currency": "INR", "history": [{ "date": "2024-03-28", "close": 1498.5 }] } }
+async function readPriceFile(filePath) {
+  let rows;
+  if (/\.json$/i.test(filePath)) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    rows = Array.isArray(data)
+      ? data
+      : Object.entries(data).flatMap(([symbol, entry]) => (entry.history || []).map(point => ({
+        symbol,
+        currency: entry.currency,
+        sector: entry.sector,
+        industry: entry.industry,
+        name: entry.name,
+        ...point
+      })));
+  } else {
+    rows = await new Promise((resolve, reject) => {
+      const results = [];
+      fs.createReadStream(filePath)
+        .pipe(csv({ mapHeaders: ({ header }) => header.toLowerCase().trim().replace(/\s+/g, '_') }))
+        .on('data', data => results.push(data))
+        .on('end', () => resolve(results))
+        .on('error', reject);
+    });
+  }
+
+  const symbols = {};
+  rows.forEach(row => {
+    const symbol = String(row.symbol || '').trim().toUpperCase();
+    const date = toDate(row.date);
+    const close = toNumber(row.close ?? row.price);
+    if (!symbol || !date || close === null) {
+      return;
+    }
+    const entry = symbols[symbol] || (symbols[symbol] = { history: [] });
+    ['currency', 'sector', 'industry', 'name'].forEach(field => {
+      if (row[field]) {
+        entry[field] = String(row[field]).trim();
+      }
+    });
+    entry.history.push({ date, close });
+  });
+
+  Object.values(symbols).forEach(entry => {
+    entry.history.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  });
+  return symbols;
+}
+
+// Provider backed by a local CSV or JSON price file. The file is re-read
+// whenever it changes on disk, so a nightly export can simply overwrite it.
+function createPriceFileProvider(options = {}) {
+  const filePath = options.filePath || process.env.MARKET_DATA_FILE;
+  if (!filePath) {
+    throw new Error('The file market data provider needs MARKET_DATA_FILE');
+  }
+  const resolvedPath = path.resolve(filePath);
+  let loaded = null;
+
+  // Lookups made while the file is being read wait for the same read
+  function load() {
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = fs.statSync(resolvedPath));
+    } catch (error) {
+      // A missing file means no market data is available: every lookup misses
+      if (!loaded || loaded.mtimeMs !== null) {
+        console.error(`Error reading market data file ${resolvedPath}:`, error.message);
+        loaded = { mtimeMs: null, symbols: Promise.resolve({}) };
+      }
+      return loaded.symbols;
+    }
+    if (!loaded || loaded.mtimeMs !== mtimeMs) {
+      const reading = readPriceFile(resolvedPath).then(symbols => {
+        console.log(`Loaded market data for ${Object.keys(symbols).length} symbols from ${resolvedPath}`);
+        return symbols;
+      });
+      loaded = { mtimeMs, symbols: reading };
+      reading.catch(() => {
+        if (loaded && loaded.symbols === reading) {
+          loaded = null;
+        }
+      });
+    }
+    return loaded.symbols;
+  }
+
+  return {
+    name: 'file',
+    source: resolvedPath,
+    async getQuote(symbol) {
+      const entry = (await load())[symbol];
+      if (!entry || entry.history.length === 0) {
+        return null;
+      }
+      const last = entry.history[entry.history.length - 1];
+      const previous = entry.history[entry.history.length - 2];
+      return {
+        symbol,
+        price: last.close,
+        currency: entry.currency || null,
+        asOf: last.date,
+        previousClose: previous ? previous.close : null
+      };
+    },
+    async getSector(symbol) {
+      const entry = (await load())[symbol];
+      return entry && entry.sector ? { sector: entry.sector, industry: entry.industry || null } : null;
+    },
+    async getHistory(symbol, { from, to } = {}) {
+      const entry = (await load())[symbol];
+      if (!entry) {
+        return [];
+      }
+      return entry.history.filter(point => (!from || point.date >= from) && (!to || point.date <= to));
+    }
+  };
+}
+
+// Provider used when no market data is configured: every lookup misses
+function createNullProvider() {
+  return {
+    name: 'none',
+    source: null,
+    async getQuote() {
+      return null;
+    },
+    async getSector() {
+      return null;
+    },
+    async getHistory() {
+      return [];
+    }
+  };
+}
+
+// Function to add caching with staleness rules to a provider:
+//   - answers younger than their TTL are served from the cache
+//     (MARKET_DATA_QUOTE_TTL_SECONDS, default 60; sectors and history,
+//     MARKET_DATA_REFERENCE_TTL_SECONDS, default 86400),
+//   - if a refresh fails, a cached answer up to MARKET_DATA_MAX_STALE_SECONDS
+//     old (default 86400) is served instead, marked `stale`,
+//   - a quote whose asOf date is older than MARKET_DATA_MAX_QUOTE_AGE_DAYS
+//     (default 4, to cover weekends and holidays) is marked `stale` too.
+function createCachedProvider(provider, options = {}) {
+  // Only an unset or non-numeric setting falls back, so an explicit 0 is kept
+  const fromEnv = (envName, fallback) => {
+    const value = parseFloat(process.env[envName]);
+    return Number.isNaN(value) ? fallback : value;
+  };
+  const seconds = (value, envName, fallback) => (value ?? fromEnv(envName, fallback)) * 1000;
+  const quoteTtlMs = seconds(options.quoteTtlSeconds, 'MARKET_DATA_QUOTE_TTL_SECONDS', 60);
+  const referenceTtlMs = seconds(options.referenceTtlSeconds, 'MARKET_DATA_REFERENCE_TTL_SECONDS', 86400);
+  const maxStaleMs = seconds(options.maxStaleSeconds, 'MARKET_DATA_MAX_STALE_SECONDS', 86400);
+  const maxQuoteAgeMs = (options.maxQuoteAgeDays ?? fromEnv('MARKET_DATA_MAX_QUOTE_AGE_DAYS', 4)) * DAY_MS;
+  const now = options.now || (() => Date.now());
+
+  const cache = new Map();
+  const inFlight = new Map();
+
+  async function cached(key, ttlMs, fetch) {
+    const entry = cache.get(key);
+    if (entry && now() - entry.fetchedAt < ttlMs) {
+      return { value: entry.value, stale: false };
+    }
+
+    // Concurrent lookups of the same key share one provider call
+    if (!inFlight.has(key)) {
+      inFlight.set(key, fetch().finally(() => inFlight.delete(key)));
+    }
+    try {
+      const value = await inFlight.get(key);
+      cache.set(key, { value, fetchedAt: now() });
+      return { value, stale: false };
+    } catch (error) {
+      if (entry && now() - entry.fetchedAt < maxStaleMs) {
+        console.warn(`Market data refresh failed for ${key}, serving cached data: ${error.message}`);
+        return { value: entry.value, stale: true };
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: provider.name,
+    source: provider.source,
+    async getQuote(symbol) {
+      const { value, stale } = await cached(`quote:${symbol}`, quoteTtlMs, () => provider.getQuote(symbol));
+      if (!value) {
+        return null;
+      }
+      const outdated = value.asOf && now() - new Date(value.asOf).getTime() > maxQuoteAgeMs;
+      return { ...value, stale: Boolean(stale || outdated) };
+    },
+    async getSector(symbol) {
+      return (await cached(`sector:${symbol}`, referenceTtlMs, () => provider.getSector(symbol))).value;
+    },
+    async getHistory(symbol, range = {}) {
+      const key = `history:${symbol}:${range.from || ''}:${range.to || ''}`;
+      return (await cached(key, referenceTtlMs, () => provider.getHistory(symbol, range))).value;
+    },
+    clear() {
+      cache.clear();
+    }
+  };
+}
+
+const providerFactories = {
+  file: createPriceFileProvider,
+  none: createNullProvider
+};
+
+// Function to build the cached market data provider from configuration
+function createMarketDataProvider(name = process.env.MARKET_DATA_PROVIDER || (process.env.MARKET_DATA_FILE ? 'file' : 'none'), options = {}) {
+  const factory = providerFactories[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown market data provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return createCachedProvider(factory(options), options.cache);
+}
+
+// Function to look up quotes and sectors for a list of symbols, returning the
+// { SYMBOL: { price, sector, currency, asOf, stale } } map that
+// calculatePortfolioMetrics expects. Symbols without a quote are left out.
+async function getMarketData(symbols, provider) {
+  const marketData = {};
+  const unique = [...new Set(symbols.map(symbol => String(symbol).toUpperCase()))];
+
+  await Promise.all(unique.map(async symbol => {
+    try {
+      const [quote, sector] = await Promise.all([provider.getQuote(symbol), provider.getSector(symbol)]);
+      if (quote) {
+        marketData[symbol] = {
+          price: quote.price,
+          previousClose: quote.previousClose ?? null,
+          currency: quote.currency || null,
+          asOf: quote.asOf || null,
+          stale: Boolean(quote.stale),
+          sector: sector ? sector.sector : null
+        };
+      }
+    } catch (error) {
+      console.error(`Error fetching market data for ${symbol}:`, error);
+    }
+  }));
+
+  return marketData;
+}
+
+// Function to compute the return between the last close and the last close on
+// or before `daysBack` days earlier, in percent. Null when the history has a
+// gap there (no close within a tenth of the period, or a week, of that date).
+function periodReturn(history, daysBack) {
+  if (history.length < 2) {
+    return null;
+  }
+  const last = history[history.length - 1];
+  const lastTime = new Date(last.date).getTime();
+  const cutoff = new Date(lastTime - daysBack * DAY_MS).toISOString().slice(0, 10);
+  const earliest = new Date(lastTime - (daysBack + Math.max(7, daysBack * 0.1)) * DAY_MS).toISOString().slice(0, 10);
+  const start = [...history].reverse().find(point => point.date <= cutoff);
+  return start && start.date >= earliest && start.close > 0 ? ((last.close - start.close) / start.close) * 100 : null;
+}
+
+// Function to compute annualized volatility of daily returns, in percent
+function annualizedVolatility(history) {
+  const returns = [];
+  for (let i = 1; i < history.length; i++) {
+    if (history[i - 1].close > 0) {
+      returns.push(Math.log(history[i].close / history[i - 1].close));
+    }
+  }
+  if (returns.length < 2) {
+    return null;
+  }
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * 252) * 100;
+}
+
+// Function to summarize recent price moves of a symbol, measured back from
+// its latest close
+async function getPerformance(symbol, provider) {
+  const history = await provider.getHistory(symbol);
+  if (history.length === 0) {
+    return null;
+  }
+  const asOf = history[history.length - 1].date;
+  const since = days => new Date(new Date(asOf).getTime() - days * DAY_MS).toISOString().slice(0, 10);
+  return {
+    asOf,
+    return1M: periodReturn(history, 30),
+    return3M: periodReturn(history, 91),
+    return1Y: periodReturn(history, 365),
+    volatility3M: annualizedVolatility(history.filter(point => point.date >= since(91)))
+  };
+}
+
+module.exports = {
+  readPriceFile,
+  createPriceFileProvider,
+  createNullProvider,
+  createCachedProvider,
+  createMarketDataProvider,
+  getMarketData,
+  periodReturn,
+  annualizedVolatility,
+  getPerformance
+};
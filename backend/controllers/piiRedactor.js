@@ -0,0 +1,220 @@
+// PII detection and redaction for uploaded documents, run between parsing and
+// chunking so personal data never reaches Elasticsearch or the LLM.
+// Each detector pairs a pattern with a validator (checksums where the
+// identifier has one). Matches are replaced with typed placeholders such as
+// [PAN_1]; the same value always gets the same placeholder within a document.
+
+// Raised when an upload in "reject" mode contains PII
+class PiiDetectedError extends Error {
+  constructor(report) {
+    const summary = Object.entries(report.counts).map(([type, count]) => `${count} ${type}`).join(', ');
+    super(`Document contains personal data (${summary}) and was rejected`);
+    this.name = 'PiiDetectedError';
+    this.report = report;
+    // Retrying cannot change the outcome, so the job fails for good
+    this.permanent = true;
+  }
+}
+
+// Verhoeff checksum used by Aadhaar numbers
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+function verhoeffValid(digits) {
+  let check = 0;
+  digits.split('').reverse().forEach((digit, i) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][parseInt(digit, 10)]];
+  });
+  return check === 0;
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  digits.split('').reverse().forEach((digit, i) => {
+    let value = parseInt(digit, 10);
+    if (i % 2 === 1) {
+      value *= 2;
+      if (value > 9) {
+        value -= 9;
+      }
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+}
+
+const onlyDigits = value => value.replace(/\D/g, '');
+
+// Words that mark a nearby bare number as a phone number
+const PHONE_CONTEXT = /\b(?:phone|ph|tel|telephone|mobile|mob|cell|contact|call|whatsapp|fax)\b[^\n]{0,25}$/i;
+
+// Ordered by priority: when matches overlap, the earlier detector wins
+const DETECTORS = [
+  {
+    type: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'PAN',
+    // Fourth character encodes the holder type (P = person, C = company, ...)
+    pattern: /\b[A-Z]{3}[ABCFGHLJPT][A-Z]\d{4}[A-Z]\b/g
+  },
+  {
+    type: 'AADHAAR',
+    pattern: /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g,
+    validate: value => verhoeffValid(onlyDigits(value))
+  },
+  {
+    type: 'SSN',
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+    validate: value => {
+      const [area, group, serial] = value.split('-');
+      return area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000';
+    }
+  },
+  {
+    type: 'CARD_NUMBER',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: value => luhnValid(onlyDigits(value))
+  },
+  {
+    type: 'ACCOUNT_NUMBER',
+    // Bank/demat account numbers have no checksum, so require a nearby label
+    pattern: /\b(?:a\/c|acct|account|demat|folio|client\s+id|dp\s+id)(?:\s+(?:no|number|num|#))?\.?\s*[:#-]?\s*([A-Z0-9]{0,4}\d[\d ]{6,20}\d)\b/gi,
+    group: 1
+  },
+  {
+    type: 'PHONE',
+    // Digit runs like quantities look the same as phone numbers, so a match
+    // needs a +91/+1 prefix, a parenthesised area code or a phone keyword before it
+    pattern: /(?:\+91[ -]?|\b0|\b)[6-9]\d{4}[ -]?\d{5}\b|(?:\+1[ -]?)?\(?\b\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b|\+1\d{10}\b/g,
+    validate: (value, { text, start }) => {
+      const digits = onlyDigits(value);
+      if (digits.length < 10 || digits.length > 12) {
+        return false;
+      }
+      return /^\+(?:91|1)/.test(value) ||
+        /^\(\d{3}\)/.test(value) ||
+        PHONE_CONTEXT.test(text.slice(Math.max(0, start - 40), start));
+    }
+  }
+];
+
+// Function to find PII entities in text, returning non-overlapping
+// [{ type, start, end, value }] sorted by position
+function detectPii(text) {
+  const found = [];
+
+  DETECTORS.forEach(detector => {
+    detector.pattern.lastIndex = 0;
+    for (const match of text.matchAll(detector.pattern)) {
+      const value = detector.group ? match[detector.group] : match[0];
+      const start = detector.group ? match.index + match[0].lastIndexOf(value) : match.index;
+      const end = start + value.length;
+
+      if (detector.validate && !detector.validate(value, { text, start, end })) {
+        continue;
+      }
+      if (found.some(entity => start < entity.end && end > entity.start)) {
+        continue;
+      }
+      found.push({ type: detector.type, start, end, value });
+    }
+  });
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// Function to redact PII from parsed text. Returns the redacted text, a
+// function mapping old character offsets to new ones, and a report that lists
+// entity types, placeholders and original offsets (never the values themselves).
+function redactText(text) {
+  const entities = detectPii(text);
+  const placeholders = new Map();
+  const counters = {};
+  const counts = {};
+  const shifts = [];
+
+  let redacted = '';
+  let cursor = 0;
+  let delta = 0;
+
+  entities.forEach(entity => {
+    const key = `${entity.type}:${onlyDigits(entity.value) || entity.value.toLowerCase()}`;
+    if (!placeholders.has(key)) {
+      counters[entity.type] = (counters[entity.type] || 0) + 1;
+      placeholders.set(key, `[${entity.type}_${counters[entity.type]}]`);
+    }
+    const placeholder = placeholders.get(key);
+    counts[entity.type] = (counts[entity.type] || 0) + 1;
+
+    redacted += text.slice(cursor, entity.start) + placeholder;
+    cursor = entity.end;
+    delta += placeholder.length - (entity.end - entity.start);
+    shifts.push({ end: entity.end, delta });
+    entity.placeholder = placeholder;
+  });
+  redacted += text.slice(cursor);
+
+  const mapOffset = offset => {
+    let applied = 0;
+    for (const shift of shifts) {
+      if (shift.end > offset) {
+        break;
+      }
+      applied = shift.delta;
+    }
+    return offset + applied;
+  };
+
+  return {
+    text: redacted,
+    mapOffset,
+    report: {
+      total: entities.length,
+      counts,
+      entities: entities.map(({ type, placeholder, start, end }) => ({ type, placeholder, start, end }))
+    }
+  };
+}
+
+// Function to apply redaction to a parsed document ({ text, pages, structure }).
+// mode 'mask' replaces PII with placeholders, 'reject' throws PiiDetectedError.
+function redactDocument(parsed, mode = process.env.PII_MODE || 'mask') {
+  const { text, mapOffset, report } = redactText(parsed.text);
+
+  if (mode === 'reject' && report.total > 0) {
+    throw new PiiDetectedError(report);
+  }
+
+  const structure = parsed.structure || {};
+  return {
+    document: {
+      ...parsed,
+      text,
+      pages: (parsed.pages || []).map(page => ({ ...page, start: mapOffset(page.start), end: mapOffset(page.end) })),
+      structure: {
+        ...structure,
+        headings: (structure.headings || []).map(mapOffset),
+        tableRows: (structure.tableRows || []).map(mapOffset)
+      }
+    },
+    report: { mode, ...report }
+  };
+}
+
+module.exports = {
+  PiiDetectedError,
+  detectPii,
+  redactText,
+  redactDocument
+};
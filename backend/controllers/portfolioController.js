@@ -4,6 +4,12 @@ const { createObjectCsvWriter } = require('csv-writer');
 const { type } = require('os');
 const { isFloat64Array } = require('util/types');
 const { parse } = require('path');
+const { getMarketData, getPerformance } = require('./marketData');
+const { getFxRates } = require('./fxRates');
+
+// Currency that portfolio totals are reported in unless one is chosen
+const DEFAULT_BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+const CURRENCY_LOCALES = { INR: 'en-IN' };
 
 // Function to parse portfolio CSV file
 async function parsePortfolioCSV(filePath) {
@@ -54,12 +60,33 @@ function validatePortfolioData(portfolioData) {
   return errors;
 }
 
-// Function to calculate portfolio metrics
-function calculatePortfolioMetrics(portfolioData, marketData = {}) {
+// Function to format an amount in a currency, e.g. $1,234.50 or ₹1,23,456.50
+function formatMoney(amount, currency = DEFAULT_BASE_CURRENCY) {
+  try {
+    return new Intl.NumberFormat(CURRENCY_LOCALES[currency] || 'en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount}`;
+  }
+}
+
+// A holding's own currency: its currency column, else its quote's, else the base
+function holdingCurrency(holding, quote, baseCurrency) {
+  return String(holding.currency || quote?.currency || baseCurrency).trim().toUpperCase();
+}
+
+// Function to calculate portfolio metrics. Prices and values of a holding are
+// in its own currency; totals and allocations are in the base currency, with
+// fxRates ({ CUR: units of base per unit }) converting each holding. Holdings
+// without a rate are left out of the totals and listed in summary.fx.
+function calculatePortfolioMetrics(portfolioData, marketData = {}, options = {}) {
+  const baseCurrency = (options.baseCurrency || DEFAULT_BASE_CURRENCY).toUpperCase();
+  const fxRates = { ...options.fxRates, [baseCurrency]: 1 };
   let totalValue = 0;
   let totalInvestment = 0;
   const assetAllocation = {};
   const sectorAllocation = {};
+  const currencyAllocation = {};
+  const unconverted = [];
 
   const processedPortfolio = portfolioData.map(holding => {
     const symbol = holding.symbol.toUpperCase();
@@ -67,23 +94,37 @@ function calculatePortfolioMetrics(portfolioData, marketData = {}) {
     // const purchasePrice = Number(parseFloat(holding.purchase_price).toFixed(6));
     const purchasePrice = parseFloat(holding.purchase_price)
     console.log(checkNumberType(purchasePrice))
-    const currentPrice = marketData[symbol]?.price || purchasePrice; // Use market price if available
-    const sector = marketData[symbol]?.sector || 'Unknown';
+    const quote = marketData[symbol];
+    const currentPrice = quote?.price || purchasePrice; // Use market price if available
+    const sector = quote?.sector || holding.sector || 'Unknown';
     const assetType = holding.asset_type || 'Stock';
+    const currency = holdingCurrency(holding, quote, baseCurrency);
+    const fxRate = fxRates[currency] ?? null;
 
     const investment = quantity * purchasePrice;
     const currentValue = quantity * currentPrice;
     const gainLoss = currentValue - investment;
     const gainLossPercent = (gainLoss / investment) * 100;
 
-    totalInvestment += investment;
-    totalValue += currentValue;
+    // Both sides use today's rate, so base-currency gains leave out currency moves
+    const investmentBase = fxRate === null ? null : investment * fxRate;
+    const currentValueBase = fxRate === null ? null : currentValue * fxRate;
 
-    // Asset allocation
-    assetAllocation[assetType] = (assetAllocation[assetType] || 0) + currentValue;
+    if (fxRate === null) {
+      unconverted.push(symbol);
+    } else {
+      totalInvestment += investmentBase;
+      totalValue += currentValueBase;
 
-    // Sector allocation
-    sectorAllocation[sector] = (sectorAllocation[sector] || 0) + currentValue;
+      // Asset allocation
+      assetAllocation[assetType] = (assetAllocation[assetType] || 0) + currentValueBase;
+
+      // Sector allocation
+      sectorAllocation[sector] = (sectorAllocation[sector] || 0) + currentValueBase;
+
+      // Currency exposure
+      currencyAllocation[currency] = (currencyAllocation[currency] || 0) + currentValueBase;
+    }
 
     return {
       ...holding,
@@ -96,7 +137,16 @@ function calculatePortfolioMetrics(portfolioData, marketData = {}) {
       gainLoss,
       gainLossPercent: parseFloat(gainLossPercent.toFixed(2)),
       sector,
-      assetType
+      assetType,
+      currency,
+      fxRate,
+      investmentBase,
+      currentValueBase,
+      gainLossBase: fxRate === null ? null : currentValueBase - investmentBase,
+      // Where currentPrice came from: a market quote, or the purchase price when none was found
+      priceSource: quote?.price ? 'market' : 'purchase',
+      priceAsOf: quote?.price ? quote.asOf || null : null,
+      priceStale: Boolean(quote?.price && quote.stale)
     };
   });
 
@@ -112,6 +162,10 @@ function calculatePortfolioMetrics(portfolioData, marketData = {}) {
     sectorAllocation[key] = parseFloat(((sectorAllocation[key] / totalValue) * 100).toFixed(2));
   });
 
+  Object.keys(currencyAllocation).forEach(key => {
+    currencyAllocation[key] = parseFloat(((currencyAllocation[key] / totalValue) * 100).toFixed(2));
+  });
+
   return {
     portfolio: processedPortfolio,
     summary: {
@@ -119,21 +173,78 @@ function calculatePortfolioMetrics(portfolioData, marketData = {}) {
       totalValue: parseFloat(totalValue.toFixed(2)),
       totalGainLoss: parseFloat(totalGainLoss.toFixed(2)),
       totalGainLossPercent: parseFloat(totalGainLossPercent.toFixed(2)),
+      baseCurrency,
       assetAllocation,
-      sectorAllocation
+      sectorAllocation,
+      currencyAllocation,
+      fx: {
+        rates: Object.fromEntries(Object.entries(fxRates).filter(([currency]) => currency in currencyAllocation || currency === baseCurrency)),
+        asOf: options.fxAsOf || null,
+        unconverted
+      },
+      pricing: {
+        priced: processedPortfolio.filter(holding => holding.priceSource === 'market').length,
+        unpriced: processedPortfolio.filter(holding => holding.priceSource !== 'market').map(holding => holding.symbol),
+        stale: processedPortfolio.filter(holding => holding.priceStale).map(holding => holding.symbol),
+        asOf: processedPortfolio.map(holding => holding.priceAsOf).filter(Boolean).sort().pop() || null
+      }
     }
   };
 }
 
+// Function to turn stored holdings back into the rows calculatePortfolioMetrics
+// reads; rows parsed from a CSV pass through unchanged
+function toHoldingRows(holdings) {
+  return holdings.map(holding => (holding.purchase_price !== undefined ? holding : {
+    ...holding,
+    purchase_price: holding.purchasePrice,
+    asset_type: holding.assetType
+  }));
+}
+
+// Function to pick the base currency when none is chosen: the holdings' own
+// currency when they all share one, else DEFAULT_BASE_CURRENCY
+function defaultBaseCurrency(holdings, marketData = {}) {
+  const currencies = new Set(holdings
+    .map(holding => holding.currency || marketData[String(holding.symbol).toUpperCase()]?.currency)
+    .filter(Boolean)
+    .map(currency => String(currency).trim().toUpperCase()));
+  return currencies.size === 1 ? [...currencies][0] : DEFAULT_BASE_CURRENCY;
+}
+
+// Function to describe holdings that could not be converted into the base
+// currency, or null when every holding was converted
+function describeMissingFxRates(summary) {
+  const unconverted = (summary.fx && summary.fx.unconverted) || [];
+  if (unconverted.length === 0) {
+    return null;
+  }
+  return `No FX rate into ${summary.baseCurrency} for ${unconverted.join(', ')}. Add the rates to FX_RATES_FILE or choose a baseCurrency the holdings are in.`;
+}
+
+// Function to value holdings at current market prices from the provider and
+// roll them up into the base currency. Options: baseCurrency (default from
+// defaultBaseCurrency) and fxRates, the FX rate source (see createFxRates).
+// Holdings without a rate are listed in summary.fx.unconverted.
+async function valuePortfolio(holdings, marketDataProvider, options = {}) {
+  const symbols = holdings.map(holding => String(holding.symbol).toUpperCase());
+  const marketData = marketDataProvider ? await getMarketData(symbols, marketDataProvider) : {};
+  const baseCurrency = (options.baseCurrency || defaultBaseCurrency(holdings, marketData)).toUpperCase();
+  const currencies = holdings.map(holding => holdingCurrency(holding, marketData[String(holding.symbol).toUpperCase()], baseCurrency));
+  const fx = await getFxRates(currencies, baseCurrency, options.fxRates);
+  return calculatePortfolioMetrics(toHoldingRows(holdings), marketData, { baseCurrency, fxRates: fx.rates, fxAsOf: fx.asOf });
+}
+
 // Function to generate investment advice using AI
-async function generateInvestmentAdvice(portfolioSummary, marketTrends, model) {
+async function generateInvestmentAdvice(portfolioSummary, marketTrends, llm) {
   try {
+    const currency = portfolioSummary.baseCurrency || DEFAULT_BASE_CURRENCY;
     const prompt = `As a personal investment coach, analyze this portfolio and provide advice:
 
-Portfolio Summary:
-- Total Investment: $${portfolioSummary.totalInvestment}
-- Current Value: $${portfolioSummary.totalValue}
-- Total Gain/Loss: $${portfolioSummary.totalGainLoss} (${portfolioSummary.totalGainLossPercent}%)
+Portfolio Summary (amounts in ${currency}):
+- Total Investment: ${formatMoney(portfolioSummary.totalInvestment, currency)}
+- Current Value: ${formatMoney(portfolioSummary.totalValue, currency)}
+- Total Gain/Loss: ${formatMoney(portfolioSummary.totalGainLoss, currency)} (${portfolioSummary.totalGainLossPercent}%)
 
 Asset Allocation:
 ${Object.entries(portfolioSummary.assetAllocation).map(([asset, percent]) => `- ${asset}: ${percent}%`).join('\n')}
@@ -141,6 +252,9 @@ ${Object.entries(portfolioSummary.assetAllocation).map(([asset, percent]) => `-
 Sector Allocation:
 ${Object.entries(portfolioSummary.sectorAllocation).map(([sector, percent]) => `- ${sector}: ${percent}%`).join('\n')}
 
+Currency Exposure:
+${Object.entries(portfolioSummary.currencyAllocation || { [currency]: 100 }).map(([code, percent]) => `- ${code}: ${percent}%`).join('\n')}
+
 Market Context:
 ${marketTrends}
 
@@ -153,9 +267,7 @@ Please provide:
 
 Keep the advice practical and easy to understand.`;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+    return await llm.generate(prompt);
 
   } catch (error) {
     console.error('Error generating investment advice:', error);
@@ -172,8 +284,9 @@ function analyzePortfolioRisk(portfolioData) {
   };
 
   // Concentration risk - check if any single holding is > 20% of portfolio
-  const totalValue = portfolioData.reduce((sum, holding) => sum + holding.currentValue, 0);
-  const maxHolding = Math.max(...portfolioData.map(holding => holding.currentValue));
+  const values = portfolioData.map(holding => holding.currentValueBase ?? holding.currentValue);
+  const totalValue = values.reduce((sum, value) => sum + value, 0);
+  const maxHolding = Math.max(...values);
   const concentrationRatio = (maxHolding / totalValue) * 100;
 
   if (concentrationRatio > 20) {
@@ -199,16 +312,78 @@ function analyzePortfolioRisk(portfolioData) {
   return riskFactors;
 }
 
-// Function to get market trends (placeholder for now)
-async function getMarketTrends() {
-  // This would typically fetch from financial APIs
-  // For now, return a placeholder
-  return `Current market conditions:
-- Market volatility is moderate
-- Technology sector showing mixed signals
-- Financial sector performing well
-- Inflation concerns affecting bond markets
-- Energy sector experiencing volatility due to geopolitical factors`;
+function formatPercent(value) {
+  return typeof value === 'number' ? `${value >= 0 ? '+' : ''}${value.toFixed(1)}%` : 'n/a';
+}
+
+// Function to describe recent market moves for the holdings (as valued by
+// calculatePortfolioMetrics) and for MARKET_BENCHMARKS (comma separated
+// symbols in the market data), as text for the advice prompt
+async function getMarketTrends(holdings = [], marketDataProvider = null) {
+  if (!marketDataProvider || marketDataProvider.name === 'none') {
+    return 'No market data is available; current prices are assumed equal to purchase prices.';
+  }
+
+  try {
+    const lines = [`Market data (${marketDataProvider.name} provider):`];
+    const sectorMoves = {};
+
+    const holdingLines = [];
+    for (const holding of holdings) {
+      const performance = await getPerformance(holding.symbol, marketDataProvider);
+      if (!performance) {
+        continue;
+      }
+      holdingLines.push(`- ${holding.symbol} (${holding.sector}): ${formatMoney(holding.currentPrice, holding.currency)} as of ${performance.asOf}, 1M ${formatPercent(performance.return1M)}, 3M ${formatPercent(performance.return3M)}, 1Y ${formatPercent(performance.return1Y)}`);
+
+      // Value-weighted 1-month move per sector
+      if (typeof performance.return1M === 'number') {
+        const sector = sectorMoves[holding.sector] || (sectorMoves[holding.sector] = { weighted: 0, value: 0 });
+        const value = holding.currentValueBase ?? holding.currentValue;
+        sector.weighted += performance.return1M * value;
+        sector.value += value;
+      }
+    }
+    if (holdingLines.length > 0) {
+      lines.push('Holdings:', ...holdingLines);
+    }
+
+    const sectors = Object.entries(sectorMoves).filter(([, move]) => move.value > 0);
+    if (sectors.length > 0) {
+      lines.push('Sector moves over 1 month (value-weighted):');
+      sectors.forEach(([sector, move]) => lines.push(`- ${sector}: ${formatPercent(move.weighted / move.value)}`));
+    }
+
+    const benchmarks = (process.env.MARKET_BENCHMARKS || '').split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+    const benchmarkLines = [];
+    for (const symbol of benchmarks) {
+      const performance = await getPerformance(symbol, marketDataProvider);
+      if (performance) {
+        benchmarkLines.push(`- ${symbol}: 1M ${formatPercent(performance.return1M)}, 3M ${formatPercent(performance.return3M)}, 1Y ${formatPercent(performance.return1Y)}, 3M volatility ${formatPercent(performance.volatility3M).replace('+', '')} annualized`);
+      }
+    }
+    if (benchmarkLines.length > 0) {
+      lines.push('Benchmarks:', ...benchmarkLines);
+    }
+
+    const unpriced = holdings.filter(holding => holding.priceSource !== 'market').map(holding => holding.symbol);
+    const stale = holdings.filter(holding => holding.priceStale).map(holding => `${holding.symbol} (${holding.priceAsOf})`);
+    if (unpriced.length > 0) {
+      lines.push(`No market price for: ${unpriced.join(', ')} (valued at purchase price)`);
+    }
+    if (stale.length > 0) {
+      lines.push(`Prices may be out of date for: ${stale.join(', ')}`);
+    }
+    const unconverted = holdings.filter(holding => holding.fxRate === null).map(holding => `${holding.symbol} (${holding.currency})`);
+    if (unconverted.length > 0) {
+      lines.push(`No FX rate for: ${unconverted.join(', ')} (left out of the totals)`);
+    }
+
+    return lines.length > 1 ? lines.join('\n') : 'No market data is available for these holdings.';
+  } catch (error) {
+    console.error('Error building market context:', error);
+    throw error;
+  }
 }
 
 function checkNumberType(num) {
@@ -225,13 +400,16 @@ function checkNumberType(num) {
 }
 
 // Function to store portfolio data in Elasticsearch
-async function indexPortfolio(portfolioData, filename, userId, esClient) {
+async function indexPortfolio(portfolioData, filename, userId, esClient, orgId = null) {
   try {
     const portfolioDoc = {
       userId: userId,
+      orgId: orgId,
       filename: filename,
       portfolio: portfolioData.portfolio,
       summary: portfolioData.summary,
+      // Cost basis method, realized gains and dividends of a transaction import
+      ledger: portfolioData.ledger || null,
       uploadDate: new Date(),
       type: 'portfolio'
     };
@@ -257,6 +435,27 @@ async function indexPortfolio(portfolioData, filename, userId, esClient) {
   }
 }
 
+// Function to append an advisor's note to a portfolio
+async function addPortfolioAnnotation(portfolioId, annotation, esClient) {
+  try {
+    await esClient.update({
+      index: 'portfolios',
+      id: portfolioId,
+      body: {
+        script: {
+          source: 'if (ctx._source.annotations == null) { ctx._source.annotations = []; } ctx._source.annotations.add(params.annotation)',
+          params: { annotation }
+        }
+      },
+      refresh: true
+    });
+    return annotation;
+  } catch (error) {
+    console.error('Error annotating portfolio:', error);
+    throw error;
+  }
+}
+
 // Function to initialize Elasticsearch index for portfolios
 async function initializePortfolioIndex(esClient) {
   try {
@@ -269,6 +468,7 @@ async function initializePortfolioIndex(esClient) {
           mappings: {
             properties: {
               userId: { type: 'keyword' },
+              orgId: { type: 'keyword' },
               filename: { type: 'text' },
               portfolio: {
                 type: 'nested',
@@ -281,7 +481,18 @@ async function initializePortfolioIndex(esClient) {
                   gainLoss: { type: 'float' },
                   gainLossPercent: { type: 'float' },
                   sector: { type: 'keyword' },
-                  assetType: { type: 'keyword' }
+                  assetType: { type: 'keyword' },
+                  currency: { type: 'keyword' },
+                  fxRate: { type: 'float' },
+                  investmentBase: { type: 'float' },
+                  currentValueBase: { type: 'float' },
+                  gainLossBase: { type: 'float' },
+                  priceSource: { type: 'keyword' },
+                  priceAsOf: { type: 'date' },
+                  priceStale: { type: 'boolean' },
+                  realizedGain: { type: 'float' },
+                  dividends: { type: 'float' },
+                  lots: { type: 'object', enabled: false }
                 }
               },
               summary: {
@@ -290,11 +501,46 @@ async function initializePortfolioIndex(esClient) {
                   totalValue: { type: 'float' },
                   totalGainLoss: { type: 'float' },
                   totalGainLossPercent: { type: 'float' },
+                  baseCurrency: { type: 'keyword' },
                   assetAllocation: { type: 'object' },
-                  sectorAllocation: { type: 'object' }
+                  sectorAllocation: { type: 'object' },
+                  currencyAllocation: { type: 'object' },
+                  fx: {
+                    properties: {
+                      rates: { type: 'object', enabled: false },
+                      asOf: { type: 'date' },
+                      unconverted: { type: 'keyword' }
+                    }
+                  },
+                  pricing: {
+                    properties: {
+                      priced: { type: 'integer' },
+                      unpriced: { type: 'keyword' },
+                      stale: { type: 'keyword' },
+                      asOf: { type: 'date' }
+                    }
+                  }
+                }
+              },
+              ledger: {
+                properties: {
+                  costBasis: { type: 'keyword' },
+                  transactions: { type: 'integer' },
+                  realizedGain: { type: 'float' },
+                  dividends: { type: 'float' },
+                  realized: { type: 'object', enabled: false },
+                  dividendPayments: { type: 'object', enabled: false }
                 }
               },
               uploadDate: { type: 'date' },
+              annotations: {
+                properties: {
+                  id: { type: 'keyword' },
+                  authorId: { type: 'keyword' },
+                  note: { type: 'text' },
+                  createdAt: { type: 'date' }
+                }
+              },
               type: { type: 'keyword' }
             }
           }
@@ -309,12 +555,18 @@ async function initializePortfolioIndex(esClient) {
 }
 
 module.exports = {
+  DEFAULT_BASE_CURRENCY,
   parsePortfolioCSV,
   validatePortfolioData,
   calculatePortfolioMetrics,
+  defaultBaseCurrency,
+  describeMissingFxRates,
+  valuePortfolio,
+  formatMoney,
   generateInvestmentAdvice,
   analyzePortfolioRisk,
   getMarketTrends,
   indexPortfolio,
+  addPortfolioAnnotation,
   initializePortfolioIndex
 };
\ No newline at end of file
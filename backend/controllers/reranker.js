@@ -0,0 +1,205 @@
+const { countTokens } = require('./chunker');
+
+// Post-retrieval stage for /query. Candidates are over-fetched by the
+// retriever, then:
+//   1. chunks that overlap an already kept chunk are dropped,
+//   2. an optional re-ranker (cross-encoder endpoint or the LLM) rescores them,
+//   3. MMR (maximal marginal relevance) orders them for relevance and diversity,
+//   4. chunks are taken in that order until the context token budget is spent.
+
+function tokenSet(text) {
+  return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Similarity between two chunks: embeddings when both have one, word overlap otherwise
+function chunkSimilarity(a, b) {
+  if (Array.isArray(a.embedding) && Array.isArray(b.embedding)) {
+    return cosine(a.embedding, b.embedding);
+  }
+  return jaccard(a.tokens, b.tokens);
+}
+
+// Two chunks overlap when their character ranges in the same file share at
+// least `threshold` of the shorter range, or their text is nearly identical
+function chunksOverlap(a, b, threshold) {
+  if (a.filename === b.filename && a.charStart != null && b.charStart != null) {
+    const shared = Math.min(a.charEnd, b.charEnd) - Math.max(a.charStart, b.charStart);
+    const shorter = Math.min(a.charEnd - a.charStart, b.charEnd - b.charStart);
+    if (shorter > 0 && shared / shorter >= threshold) {
+      return true;
+    }
+  }
+  return jaccard(a.tokens, b.tokens) >= 0.8;
+}
+
+// Function to drop chunks that overlap a higher-scored chunk
+function removeOverlapping(candidates, threshold = 0.5) {
+  const kept = [];
+  [...candidates]
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      if (!kept.some(existing => chunksOverlap(existing, candidate, threshold))) {
+        kept.push(candidate);
+      }
+    });
+  return kept;
+}
+
+// Cross-encoder served over HTTP in the Text Embeddings Inference /rerank format:
+// POST { query, texts } -> [{ index, score }]
+async function crossEncoderScores(question, candidates, url) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query: question, texts: candidates.map(candidate => candidate.content) })
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const scores = new Array(candidates.length).fill(0);
+  (await response.json()).forEach(({ index, score }) => {
+    scores[index] = score;
+  });
+  return scores;
+}
+
+// Ask the LLM to grade each passage from 0 to 10
+async function llmScores(question, candidates, llm) {
+  const passages = candidates.map((candidate, i) => `[${i + 1}] ${candidate.content}`).join('\n\n');
+  const prompt = `Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${question}
+
+Passages:
+${passages}
+
+Reply with only a JSON array of ${candidates.length} numbers in passage order, for example [7, 0, 3].`;
+
+  const reply = await llm.generate(prompt);
+  const match = reply.match(/\[[\s\S]*?\]/);
+  const parsed = match ? JSON.parse(match[0]) : [];
+  if (!Array.isArray(parsed) || parsed.length !== candidates.length) {
+    throw new Error('LLM re-ranker returned an unexpected reply');
+  }
+  return parsed.map(score => Number(score) || 0);
+}
+
+function normalize(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(value => (max > min ? (value - min) / (max - min) : 1));
+}
+
+// Function to order candidates by maximal marginal relevance
+function maximalMarginalRelevance(candidates, lambda = 0.7) {
+  const relevance = normalize(candidates.map(candidate => candidate.score));
+  const remaining = candidates.map((candidate, i) => ({ candidate, relevance: relevance[i] }));
+  const selected = [];
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach(({ candidate, relevance: rel }, i) => {
+      const redundancy = selected.length > 0
+        ? Math.max(...selected.map(chosen => chunkSimilarity(candidate, chosen)))
+        : 0;
+      const score = lambda * rel - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    });
+    selected.push(remaining.splice(bestIndex, 1)[0].candidate);
+  }
+
+  return selected;
+}
+
+// Function to pick the final context chunks for a question.
+// options: { reranker ('none' | 'cross-encoder' | 'llm'), llm, rerankerUrl,
+//            lambda, tokenBudget, overlapThreshold }
+async function rerankChunks(question, candidates, options = {}) {
+  const {
+    reranker = process.env.RERANKER || 'none',
+    llm,
+    rerankerUrl = process.env.RERANKER_URL,
+    lambda = parseFloat(process.env.MMR_LAMBDA || '0.7'),
+    tokenBudget = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 1500,
+    overlapThreshold = 0.5
+  } = options;
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  let pool = removeOverlapping(
+    candidates.map(candidate => ({
+      ...candidate,
+      tokens: tokenSet(candidate.content),
+      tokenCount: countTokens(candidate.content)
+    })),
+    overlapThreshold
+  );
+
+  try {
+    let scores = null;
+    if (reranker === 'cross-encoder' && rerankerUrl) {
+      scores = await crossEncoderScores(question, pool, rerankerUrl);
+    } else if (reranker === 'llm' && llm) {
+      scores = await llmScores(question, pool, llm);
+    }
+    if (scores) {
+      pool = pool.map((candidate, i) => ({ ...candidate, retrievalScore: candidate.score, score: scores[i] }));
+    }
+  } catch (error) {
+    // Re-ranking is an optimisation; fall back to retrieval order if it fails
+    console.error('Error re-ranking chunks, using retrieval scores:', error);
+  }
+
+  const ordered = maximalMarginalRelevance(pool, lambda);
+
+  const selected = [];
+  let used = 0;
+  for (const candidate of ordered) {
+    if (selected.length > 0 && used + candidate.tokenCount > tokenBudget) {
+      continue;
+    }
+    selected.push(candidate);
+    used += candidate.tokenCount;
+  }
+
+  return selected.map(({ tokens, embedding, ...chunk }) => chunk);
+}
+
+module.exports = {
+  removeOverlapping,
+  maximalMarginalRelevance,
+  rerankChunks
+};
@@ -0,0 +1,475 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createObjectCsvStringifier } = require('csv-writer');
+const { valuePortfolio } = require('./portfolioController');
+const { getFxRates } = require('./fxRates');
+
+// Capital-gains tax reports for a stored portfolio. Gains are worked out per
+// lot: realized gains from the sales recorded by a transaction import
+// (portfolio.ledger.realized) and unrealized gains from the open lots at
+// current market prices. Each lot is classified short- or long-term by its
+// holding period under the jurisdiction's rules. Amounts are reported in the
+// jurisdiction's currency; other currencies are converted at current rates.
+// Jurisdiction rules are YAML or JSON files in taxRules/ (or TAX_RULES_DIR),
+// named after the jurisdiction code; TAX_JURISDICTION picks the default ("IN").
+
+const DEFAULT_RULES_DIR = path.join(__dirname, '..', 'taxRules');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TERMS = ['shortTerm', 'longTerm', 'unknownTerm'];
+const LOSS_SET_OFF = ['net', 'short-term-offsets-both'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Function to list the jurisdictions that have a rules file
+function listJurisdictions(rulesDir = process.env.TAX_RULES_DIR || DEFAULT_RULES_DIR) {
+  return fs.readdirSync(rulesDir)
+    .filter(file => /\.(json|ya?ml)$/i.test(file))
+    .map(file => path.basename(file, path.extname(file)).toUpperCase());
+}
+
+// Function to read and validate the rules of one jurisdiction
+function loadTaxRules(code, rulesDir = process.env.TAX_RULES_DIR || DEFAULT_RULES_DIR) {
+  const file = ['.json', '.yaml', '.yml']
+    .map(extension => path.join(rulesDir, `${String(code).toLowerCase()}${extension}`))
+    .find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    throw new Error(`No tax rules for jurisdiction "${code}" in ${rulesDir}`);
+  }
+
+  const raw = fs.readFileSync(file, 'utf8');
+  const rules = /\.ya?ml$/i.test(file) ? yaml.load(raw) : JSON.parse(raw);
+  if (!rules || !rules.assetClasses || !rules.assetClasses[rules.defaultAssetClass]) {
+    throw new Error(`Tax rules ${file} need assetClasses and a defaultAssetClass among them`);
+  }
+  if (!LOSS_SET_OFF.includes(rules.lossSetOff || 'net')) {
+    throw new Error(`Tax rules ${file} have an unknown lossSetOff "${rules.lossSetOff}"`);
+  }
+
+  Object.entries(rules.assetClasses).forEach(([name, assetClass]) => {
+    if (!(assetClass.longTermAfterMonths > 0)) {
+      throw new Error(`Tax rules ${file}: asset class ${name} needs longTermAfterMonths`);
+    }
+    // Newest rates first, so the first one in force on a date applies
+    assetClass.rates = (assetClass.rates || []).slice().sort((a, b) => (a.from < b.from ? 1 : -1));
+  });
+
+  return {
+    ...rules,
+    id: String(rules.id || code).toUpperCase(),
+    taxYearStartMonth: rules.taxYearStartMonth || 1,
+    lossSetOff: rules.lossSetOff || 'net',
+    assetTypes: rules.assetTypes || {}
+  };
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addMonths(dateString, months) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return isoDate(date);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+}
+
+// Function to give the start year of the tax year containing a date
+function taxYearOf(rules, dateString) {
+  const [year, month] = dateString.split('-').map(Number);
+  return month >= rules.taxYearStartMonth ? year : year - 1;
+}
+
+// Function to describe a tax year by its start year, e.g. FY 2024-25
+// (2024-04-01 to 2025-03-31) for India or 2024 for a calendar tax year
+function taxYearRange(rules, startYear) {
+  const month = String(rules.taxYearStartMonth).padStart(2, '0');
+  const from = `${startYear}-${month}-01`;
+  const to = isoDate(new Date(new Date(`${addMonths(from, 12)}T00:00:00Z`).getTime() - DAY_MS));
+  const label = rules.taxYearStartMonth === 1 ? String(startYear) : `FY ${startYear}-${String(startYear + 1).slice(2)}`;
+  return { startYear, label, from, to };
+}
+
+function assetClassOf(rules, assetType) {
+  const mapped = rules.assetTypes[String(assetType || '').trim().toLowerCase()];
+  return mapped && rules.assetClasses[mapped] ? mapped : rules.defaultAssetClass;
+}
+
+// Function to classify a holding period. Long-term means held for more than
+// the class's longTermAfterMonths; unknown when the acquisition date is.
+function holdingTerm(acquiredOn, onDate, months) {
+  if (!acquiredOn) {
+    return 'unknownTerm';
+  }
+  return onDate > addMonths(acquiredOn, months) ? 'longTerm' : 'shortTerm';
+}
+
+function ratesOn(assetClass, dateString) {
+  return assetClass.rates.find(rate => rate.from <= dateString) || null;
+}
+
+// Function to build the cost of a lot under grandfathering rules, or null
+// when they do not apply
+function grandfatheredCost(assetClass, lot, soldOn, saleValue, fairMarketValue) {
+  const rule = assetClass.grandfathering;
+  if (!rule || !lot.acquiredOn || lot.acquiredOn > rule.acquiredOnOrBefore || soldOn < (rule.soldOnOrAfter || '')) {
+    return null;
+  }
+  if (fairMarketValue === null || fairMarketValue === undefined) {
+    return { missingFairMarketValue: true };
+  }
+  return { cost: Math.max(lot.cost, Math.min(fairMarketValue * lot.quantity, saleValue)) };
+}
+
+// Function to list the open lots of a holding. Holdings from a snapshot
+// upload have no lots, so the whole holding is one lot, dated by its
+// purchase_date column when the CSV had one.
+function holdingLots(holding) {
+  if (Array.isArray(holding.lots) && holding.lots.length > 0) {
+    return holding.lots;
+  }
+  const acquiredOn = holding.purchase_date || holding.purchaseDate || null;
+  return [{
+    lotId: null,
+    acquiredOn: acquiredOn && !Number.isNaN(Date.parse(acquiredOn)) ? isoDate(new Date(acquiredOn)) : null,
+    quantity: holding.quantity,
+    cost: holding.investment ?? holding.quantity * holding.purchasePrice
+  }];
+}
+
+function emptyTotals() {
+  return Object.fromEntries(TERMS.map(term => [term, { gains: 0, losses: 0, net: 0 }]));
+}
+
+function addToTotals(totals, row) {
+  const bucket = totals[row.term];
+  if (row.gain >= 0) {
+    bucket.gains = round2(bucket.gains + row.gain);
+  } else {
+    bucket.losses = round2(bucket.losses - row.gain);
+  }
+  bucket.net = round2(bucket.gains - bucket.losses);
+}
+
+// Function to net realized gains per asset class, set losses off against
+// gains as the jurisdiction allows and estimate the tax where the class has
+// flat rates. Lots of unknown term are left out.
+function estimateTax(rows, rules, rateDate) {
+  const byAssetClass = {};
+  let estimatedTax = null;
+
+  Object.entries(rules.assetClasses).forEach(([name, assetClass]) => {
+    const classRows = rows.filter(row => row.assetClass === name);
+    if (classRows.length === 0) {
+      return;
+    }
+    const net = term => round2(classRows.filter(row => row.term === term).reduce((sum, row) => sum + row.gain, 0));
+    let shortTerm = net('shortTerm');
+    let longTerm = net('longTerm');
+
+    if (shortTerm < 0 && longTerm > 0) {
+      const offset = Math.min(-shortTerm, longTerm);
+      shortTerm += offset;
+      longTerm -= offset;
+    } else if (rules.lossSetOff === 'net' && longTerm < 0 && shortTerm > 0) {
+      const offset = Math.min(-longTerm, shortTerm);
+      longTerm += offset;
+      shortTerm -= offset;
+    }
+
+    const rates = ratesOn(assetClass, rateDate);
+    const exemptionUsed = rates && rates.longTermExemption ? Math.min(Math.max(longTerm, 0), rates.longTermExemption) : 0;
+    const taxableShortTerm = round2(Math.max(shortTerm, 0));
+    const taxableLongTerm = round2(Math.max(longTerm, 0) - exemptionUsed);
+    const tax = rates ? round2(taxableShortTerm * rates.shortTerm + taxableLongTerm * rates.longTerm) : null;
+
+    byAssetClass[name] = {
+      netShortTerm: net('shortTerm'),
+      netLongTerm: net('longTerm'),
+      taxableShortTerm,
+      taxableLongTerm,
+      longTermExemptionUsed: round2(exemptionUsed),
+      lossCarriedForward: round2(-Math.min(shortTerm, 0) - Math.min(longTerm, 0)),
+      rates: rates ? { from: rates.from, shortTerm: rates.shortTerm, longTerm: rates.longTerm } : null,
+      estimatedTax: tax
+    };
+    if (tax !== null) {
+      estimatedTax = round2((estimatedTax || 0) + tax);
+    }
+  });
+
+  return { byAssetClass, estimatedTax };
+}
+
+function describeOffset(rules, term) {
+  if (rules.lossSetOff === 'short-term-offsets-both' && term === 'longTerm') {
+    return 'Offsets long-term gains only';
+  }
+  return term === 'unknownTerm' ? 'Holding period unknown' : 'Offsets short- and long-term gains';
+}
+
+// Function to generate the tax report of a stored portfolio. Options:
+//   jurisdiction      - rules to apply (default TAX_JURISDICTION or "IN")
+//   taxYear           - start year of the tax year for realized gains
+//                       (default the tax year containing asOf)
+//   asOf              - date unrealized gains are measured on (default today);
+//                       an earlier date values the lots open then at the
+//                       last close on or before it
+//   marketData        - market data provider for prices, price history and
+//                       the grandfathering fair market values
+//   fairMarketValues  - { SYMBOL: price } overriding those looked up
+//   fxRates           - FX rate source for holdings in other currencies
+async function generateTaxReport(portfolio, options = {}) {
+  const rules = options.rules || loadTaxRules(options.jurisdiction || process.env.TAX_JURISDICTION || 'IN', options.rulesDir);
+  const asOf = options.asOf || isoDate(new Date());
+  const taxYear = taxYearRange(rules, options.taxYear ? Number(options.taxYear) : taxYearOf(rules, asOf));
+  const notes = [];
+  const reportCurrency = rules.currency || null;
+
+  // Rate into the report currency; amounts without one stay in their own currency
+  const sales = (portfolio.ledger && portfolio.ledger.realized) || [];
+  const realizedFx = reportCurrency
+    ? await getFxRates(sales.map(sale => sale.currency || reportCurrency), reportCurrency, options.fxRates)
+    : { rates: {}, missing: [] };
+  const conversion = (currency, rate) => {
+    if (!reportCurrency || !currency || currency === reportCurrency) {
+      return { currency: reportCurrency || currency || null, rate: 1 };
+    }
+    if (rate === null || rate === undefined) {
+      notes.push(`No FX rate from ${currency} to ${reportCurrency}; ${currency} amounts are left unconverted.`);
+      return { currency, rate: 1 };
+    }
+    notes.push(`${currency} amounts are converted to ${reportCurrency} at current rates; tax rules may require the rate on each transaction date.`);
+    return { currency: reportCurrency, rate };
+  };
+
+  // Last close on or before a date (within two weeks), or null
+  async function closeOn(symbol, date) {
+    if (!options.marketData) {
+      return null;
+    }
+    try {
+      const from = isoDate(new Date(new Date(date).getTime() - 14 * DAY_MS));
+      const history = await options.marketData.getHistory(symbol, { from, to: date });
+      return history.length > 0 ? history[history.length - 1].close : null;
+    } catch (error) {
+      console.error(`Error fetching ${date} close for ${symbol}:`, error);
+      return null;
+    }
+  }
+
+  // Fair market values on the grandfathering date, looked up once per symbol
+  const fairMarketValues = new Map(Object.entries(options.fairMarketValues || {}).map(([symbol, value]) => [symbol.toUpperCase(), Number(value)]));
+  async function fairMarketValue(symbol, date) {
+    if (!fairMarketValues.has(symbol)) {
+      fairMarketValues.set(symbol, await closeOn(symbol, date));
+    }
+    return fairMarketValues.get(symbol);
+  }
+
+  async function costOf(assetClass, symbol, lot, soldOn, saleValue) {
+    const grandfathered = grandfatheredCost(assetClass, lot, soldOn, saleValue,
+      assetClass.grandfathering ? await fairMarketValue(symbol, assetClass.grandfathering.fairMarketValueDate) : null);
+    if (grandfathered && grandfathered.missingFairMarketValue) {
+      notes.push(`No ${assetClass.grandfathering.fairMarketValueDate} fair market value for ${symbol}; the actual cost of lots bought before then is used.`);
+      return { cost: lot.cost, grandfathered: false };
+    }
+    return grandfathered ? { cost: grandfathered.cost, grandfathered: true } : { cost: lot.cost, grandfathered: false };
+  }
+
+  // Realized gains: one row per lot consumed by a sale in the tax year
+  const realized = [];
+  for (const sale of sales.filter(sale => sale.date >= taxYear.from && sale.date <= taxYear.to)) {
+    const assetClassName = assetClassOf(rules, sale.assetType);
+    const assetClass = rules.assetClasses[assetClassName];
+    const fx = conversion(sale.currency, realizedFx.rates[sale.currency || reportCurrency]);
+    for (const lot of sale.lots) {
+      const proceeds = sale.proceeds * (lot.quantity / sale.quantity);
+      const { cost, grandfathered } = await costOf(assetClass, sale.symbol, lot, sale.date, proceeds);
+      realized.push({
+        symbol: sale.symbol,
+        assetClass: assetClassName,
+        lotId: lot.lotId || null,
+        acquiredOn: lot.acquiredOn || null,
+        soldOn: sale.date,
+        quantity: lot.quantity,
+        currency: fx.currency,
+        cost: round2(cost * fx.rate),
+        originalCost: round2(lot.cost * fx.rate),
+        proceeds: round2(proceeds * fx.rate),
+        gain: round2((proceeds - cost) * fx.rate),
+        term: holdingTerm(lot.acquiredOn, sale.date, assetClass.longTermAfterMonths),
+        grandfathered
+      });
+    }
+  }
+  if (!portfolio.ledger) {
+    notes.push('This portfolio was uploaded as a holdings snapshot, so it has no realized gains. Upload a transaction history to include sales.');
+  }
+
+  // Unrealized gains: every lot open on asOf. Today that is the stored
+  // holdings at current prices. For an earlier date, lots bought after it are
+  // left out, lots sold since are taken back from the ledger and every lot is
+  // valued at the symbol's close on asOf.
+  const valued = await valuePortfolio(portfolio.portfolio || [], options.marketData, {
+    baseCurrency: reportCurrency || undefined,
+    fxRates: options.fxRates
+  });
+  const historical = asOf < isoDate(new Date());
+  const openHoldings = valued.portfolio.map(holding => ({ holding, lots: holdingLots(holding) }));
+  if (historical) {
+    const openOnAsOf = lot => !lot.acquiredOn || lot.acquiredOn <= asOf;
+    openHoldings.forEach(entry => {
+      entry.lots = entry.lots.filter(openOnAsOf);
+    });
+    sales.filter(sale => sale.date > asOf).forEach(sale => {
+      const symbol = String(sale.symbol).toUpperCase();
+      let entry = openHoldings.find(({ holding }) => String(holding.symbol).toUpperCase() === symbol);
+      if (!entry) {
+        entry = {
+          holding: {
+            symbol: sale.symbol,
+            assetType: sale.assetType,
+            currency: sale.currency,
+            fxRate: realizedFx.rates[sale.currency || reportCurrency]
+          },
+          lots: []
+        };
+        openHoldings.push(entry);
+      }
+      entry.lots.push(...sale.lots.filter(openOnAsOf));
+    });
+    notes.push(`Lots are valued at the last close on or before ${asOf}.`);
+  }
+
+  const unrealized = [];
+  for (const { holding, lots } of openHoldings) {
+    const assetClassName = assetClassOf(rules, holding.assetType);
+    const assetClass = rules.assetClasses[assetClassName];
+    const fx = conversion(holding.currency, holding.fxRate);
+    const close = historical && lots.length > 0 ? await closeOn(String(holding.symbol).toUpperCase(), asOf) : null;
+    for (const lot of lots) {
+      // Without a close on asOf a past valuation falls back to the lot's cost
+      let price = holding.currentPrice;
+      let priceSource = holding.priceSource;
+      if (historical) {
+        price = close ?? (lot.quantity > 0 ? lot.cost / lot.quantity : 0);
+        priceSource = close !== null ? 'history' : 'purchase';
+      }
+      const marketValue = lot.quantity * price;
+      const { cost, grandfathered } = await costOf(assetClass, holding.symbol, lot, asOf, marketValue);
+      const term = holdingTerm(lot.acquiredOn, asOf, assetClass.longTermAfterMonths);
+      unrealized.push({
+        symbol: holding.symbol,
+        assetClass: assetClassName,
+        lotId: lot.lotId || null,
+        acquiredOn: lot.acquiredOn || null,
+        quantity: lot.quantity,
+        currency: fx.currency,
+        cost: round2(cost * fx.rate),
+        originalCost: round2(lot.cost * fx.rate),
+        price: round2(price * fx.rate),
+        priceSource,
+        marketValue: round2(marketValue * fx.rate),
+        gain: round2((marketValue - cost) * fx.rate),
+        term,
+        // Days until the lot turns long-term, for short-term lots
+        daysToLongTerm: term === 'shortTerm' ? daysBetween(asOf, addMonths(lot.acquiredOn, assetClass.longTermAfterMonths)) + 1 : null,
+        grandfathered
+      });
+    }
+  }
+  if (unrealized.some(row => row.term === 'unknownTerm')) {
+    notes.push('Some holdings have no purchase date, so their holding period is unknown and they are left out of the short/long-term split.');
+  }
+  if (unrealized.some(row => row.priceSource === 'purchase')) {
+    notes.push('Holdings without a market price are valued at their purchase price.');
+  }
+
+  // Tax-loss harvesting: open lots with a loss, largest first
+  const harvesting = unrealized
+    .filter(row => row.gain < 0)
+    .sort((a, b) => a.gain - b.gain)
+    .map(row => {
+      const candidate = {
+        symbol: row.symbol,
+        lotId: row.lotId,
+        acquiredOn: row.acquiredOn,
+        quantity: row.quantity,
+        loss: round2(-row.gain),
+        term: row.term,
+        offsets: describeOffset(rules, row.term)
+      };
+      if (rules.washSaleDays) {
+        // A purchase of the same security within the window disallows the loss
+        candidate.washSaleRisk = unrealized.some(other => other !== row && other.symbol === row.symbol
+          && other.acquiredOn && daysBetween(other.acquiredOn, asOf) <= rules.washSaleDays);
+      }
+      return candidate;
+    });
+
+  const realizedTotals = emptyTotals();
+  realized.forEach(row => addToTotals(realizedTotals, row));
+  const unrealizedTotals = emptyTotals();
+  unrealized.forEach(row => addToTotals(unrealizedTotals, row));
+
+  // Estimated with the rates in force at the end of the tax year (or today)
+  const rateDate = asOf < taxYear.to ? asOf : taxYear.to;
+  const tax = estimateTax(realized, rules, rateDate);
+  if (tax.estimatedTax !== null) {
+    notes.push(`Tax is estimated with the rates in force on ${rateDate}; sales before a mid-year rate change may be taxed differently. This is not tax advice.`);
+  }
+
+  return {
+    jurisdiction: { id: rules.id, name: rules.name || rules.id, currency: rules.currency || null },
+    taxYear,
+    asOf,
+    costBasis: portfolio.ledger ? portfolio.ledger.costBasis : null,
+    summary: {
+      realized: realizedTotals,
+      unrealized: unrealizedTotals,
+      estimatedTax: tax.estimatedTax,
+      byAssetClass: tax.byAssetClass,
+      harvestableLoss: round2(harvesting.reduce((sum, candidate) => sum + candidate.loss, 0))
+    },
+    realized,
+    unrealized,
+    harvesting,
+    notes: [...new Set(notes)]
+  };
+}
+
+// Function to flatten a tax report into one CSV row per lot
+function taxReportToCsv(report) {
+  const columns = ['section', 'symbol', 'assetClass', 'lotId', 'acquiredOn', 'soldOn', 'quantity', 'currency', 'originalCost',
+    'cost', 'grandfathered', 'value', 'gain', 'term', 'harvestCandidate'];
+  const csv = createObjectCsvStringifier({
+    header: columns.map(column => ({ id: column, title: column }))
+  });
+
+  const harvestable = new Set(report.harvesting.map(candidate => `${candidate.symbol}|${candidate.lotId}`));
+  const records = [
+    ...report.realized.map(row => ({ ...row, section: 'realized', value: row.proceeds })),
+    ...report.unrealized.map(row => ({
+      ...row,
+      section: 'unrealized',
+      soldOn: '',
+      value: row.marketValue,
+      harvestCandidate: harvestable.has(`${row.symbol}|${row.lotId}`)
+    }))
+  ];
+
+  return csv.getHeaderString() + csv.stringifyRecords(records);
+}
+
+module.exports = {
+  listJurisdictions,
+  loadTaxRules,
+  taxYearRange,
+  holdingTerm,
+  generateTaxReport,
+  taxReportToCsv
+};
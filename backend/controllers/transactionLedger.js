@@ -0,0 +1,368 @@
+// Rebuilds holdings from a brokerage transaction history instead of a
+// holdings snapshot. Rows are buys, sells, dividends, splits and bonus
+// issues; positions are tracked as lots so every sale knows which purchases
+// it used up. Cost basis methods:
+//   fifo     - sells consume the oldest lots first
+//   average  - every unit costs the running average of the position
+//              (lots are still consumed oldest first, for holding periods)
+//   specific - each sell names the lot it sells from (lot_id column)
+// Splits multiply lot quantities and divide their unit cost; bonus issues add
+// a zero-cost lot acquired on the bonus date, as Indian tax rules treat them.
+
+const COST_BASIS_METHODS = ['fifo', 'average', 'specific'];
+
+const TYPE_ALIASES = {
+  buy: 'buy', b: 'buy', purchase: 'buy', bought: 'buy',
+  sell: 'sell', s: 'sell', sale: 'sell', sold: 'sell', redeem: 'sell', redemption: 'sell',
+  dividend: 'dividend', div: 'dividend', dividends: 'dividend',
+  split: 'split', 'stock split': 'split',
+  bonus: 'bonus', 'bonus issue': 'bonus'
+};
+
+// Rounding keeps float noise out of quantities (e.g. after a 3:1 split)
+const round = (value, digits = 6) => Number(Math.round(Number(`${value}e${digits}`)) + `e-${digits}`);
+
+function toNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isNaN(number) ? NaN : number;
+}
+
+// Function to read a date as YYYY-MM-DD. Accepts ISO dates and day-first
+// DD/MM/YYYY or DD-MM-YYYY; anything else goes through Date parsing.
+function parseTransactionDate(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  }
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  const date = new Date(text);
+  return text && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+// Function to read a ratio such as "2:1", "2/1" or "2" as new units per old unit
+function parseRatio(value) {
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(?:[:/]\s*(\d+(?:\.\d+)?))?$/);
+  if (!match) {
+    return null;
+  }
+  const ratio = parseFloat(match[1]) / (match[2] ? parseFloat(match[2]) : 1);
+  return ratio > 0 ? ratio : null;
+}
+
+// Function to check whether parsed CSV rows look like a transaction history
+function isTransactionLedger(rows) {
+  return rows.length > 0 && ['type', 'transaction_type', 'action'].some(field => field in rows[0]);
+}
+
+// Function to turn CSV rows (see readBrokerFile) into transactions.
+// Columns: date, type (buy | sell | dividend | split | bonus), symbol,
+// quantity, price, and optionally fees, amount (dividend cash), ratio
+// (split "2:1" = two new units per old one, bonus "1:1" = one bonus unit per
+// unit held), lot_id and asset_type. Returns { transactions, errors }.
+function normalizeTransactions(rows) {
+  const transactions = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const line = `Row ${index + 1}`;
+    const rawType = String(row.type ?? row.transaction_type ?? row.action ?? '').trim().toLowerCase();
+    const type = TYPE_ALIASES[rawType];
+    const symbol = String(row.symbol || '').trim().toUpperCase();
+    const date = parseTransactionDate(row.date ?? row.trade_date);
+    const quantity = toNumber(row.quantity);
+    const price = toNumber(row.price);
+    const fees = toNumber(row.fees ?? row.charges) || 0;
+    const amount = toNumber(row.amount);
+
+    if (!type) {
+      errors.push(`${line}: Unknown transaction type "${rawType}"`);
+      return;
+    }
+    if (!symbol) {
+      errors.push(`${line}: Missing symbol`);
+    }
+    if (!date) {
+      errors.push(`${line}: Missing or invalid date`);
+    }
+    if (Number.isNaN(fees) || fees < 0) {
+      errors.push(`${line}: Fees must be a non-negative number`);
+    }
+
+    const transaction = {
+      row: index + 1,
+      date,
+      type,
+      symbol,
+      quantity,
+      price,
+      fees: Number.isNaN(fees) ? 0 : fees,
+      amount,
+      lotId: row.lot_id ? String(row.lot_id).trim() : null,
+      assetType: row.asset_type || null,
+      currency: row.currency ? String(row.currency).trim().toUpperCase() : null
+    };
+
+    if (type === 'buy' || type === 'sell') {
+      if (!(quantity > 0)) {
+        errors.push(`${line}: Quantity must be a positive number`);
+      }
+      if (price === null || Number.isNaN(price) || price < 0) {
+        errors.push(`${line}: Price must be a non-negative number`);
+      }
+    } else if (type === 'dividend') {
+      const perUnit = price !== null && !Number.isNaN(price);
+      if (!(amount > 0) && !perUnit) {
+        errors.push(`${line}: Dividend needs an amount, or a price per unit`);
+      }
+    } else {
+      transaction.ratio = parseRatio(row.ratio);
+      if (!transaction.ratio) {
+        errors.push(`${line}: ${type === 'split' ? 'Split' : 'Bonus'} needs a ratio such as "2:1"`);
+      }
+    }
+
+    transactions.push(transaction);
+  });
+
+  // Oldest first; rows on the same day keep their file order
+  transactions.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.row - b.row));
+  return { transactions, errors };
+}
+
+function positionQuantity(position) {
+  return round(position.lots.reduce((sum, lot) => sum + lot.quantity, 0));
+}
+
+// Spread the position's total cost evenly over its units
+function averageLots(position) {
+  const quantity = positionQuantity(position);
+  const cost = position.lots.reduce((sum, lot) => sum + lot.quantity * lot.costPerUnit, 0);
+  position.lots.forEach(lot => {
+    lot.costPerUnit = quantity > 0 ? cost / quantity : 0;
+  });
+}
+
+// Function to take `quantity` units out of the chosen lots, returning the
+// consumed pieces or an error message
+function consumeLots(position, transaction, method) {
+  let remaining = transaction.quantity;
+  let lots = position.lots;
+
+  if (method === 'specific') {
+    if (!transaction.lotId) {
+      return { error: `Row ${transaction.row}: Specific-lot sells need a lot_id` };
+    }
+    lots = position.lots.filter(lot => lot.lotId === transaction.lotId);
+    if (lots.length === 0) {
+      return { error: `Row ${transaction.row}: No open lot ${transaction.lotId} for ${transaction.symbol}` };
+    }
+  }
+
+  const available = round(lots.reduce((sum, lot) => sum + lot.quantity, 0));
+  if (round(remaining) > available) {
+    return { error: `Row ${transaction.row}: Selling ${transaction.quantity} ${transaction.symbol} but only ${available} held${method === 'specific' ? ` in lot ${transaction.lotId}` : ''}` };
+  }
+
+  const consumed = [];
+  for (const lot of lots) {
+    if (round(remaining) <= 0) {
+      break;
+    }
+    const taken = Math.min(lot.quantity, remaining);
+    if (taken <= 0) {
+      continue;
+    }
+    consumed.push({
+      lotId: lot.lotId,
+      acquiredOn: lot.acquiredOn,
+      quantity: round(taken),
+      costPerUnit: lot.costPerUnit,
+      cost: round(taken * lot.costPerUnit, 2),
+      bonus: lot.bonus
+    });
+    lot.quantity = round(lot.quantity - taken);
+    remaining = round(remaining - taken);
+  }
+  position.lots = position.lots.filter(lot => lot.quantity > 0);
+  return { consumed };
+}
+
+// Function to replay transactions into open positions and realized sales.
+// Returns { method, positions, realized, dividends, errors }. Each realized
+// sale lists the lots it consumed with their acquisition dates.
+function buildPositions(transactions, { method = 'fifo' } = {}) {
+  if (!COST_BASIS_METHODS.includes(method)) {
+    throw new Error(`costBasis must be one of: ${COST_BASIS_METHODS.join(', ')}`);
+  }
+
+  const positions = new Map();
+  const realized = [];
+  const dividends = [];
+  const errors = [];
+
+  const getPosition = transaction => {
+    if (!positions.has(transaction.symbol)) {
+      positions.set(transaction.symbol, { symbol: transaction.symbol, assetType: null, currency: null, lots: [], realizedGain: 0, dividends: 0, lotCounter: 0 });
+    }
+    const position = positions.get(transaction.symbol);
+    position.assetType = position.assetType || transaction.assetType;
+    position.currency = position.currency || transaction.currency;
+    return position;
+  };
+
+  transactions.forEach(transaction => {
+    const position = getPosition(transaction);
+
+    switch (transaction.type) {
+      case 'buy': {
+        position.lotCounter++;
+        position.lots.push({
+          lotId: transaction.lotId || `${transaction.symbol}-${transaction.date}-${position.lotCounter}`,
+          acquiredOn: transaction.date,
+          quantity: transaction.quantity,
+          costPerUnit: (transaction.quantity * transaction.price + transaction.fees) / transaction.quantity,
+          bonus: false
+        });
+        if (method === 'average') {
+          averageLots(position);
+        }
+        break;
+      }
+
+      case 'sell': {
+        const { consumed, error } = consumeLots(position, transaction, method);
+        if (error) {
+          errors.push(error);
+          break;
+        }
+        const proceeds = round(transaction.quantity * transaction.price - transaction.fees, 2);
+        const costBasis = round(consumed.reduce((sum, lot) => sum + lot.cost, 0), 2);
+        const gain = round(proceeds - costBasis, 2);
+        position.realizedGain = round(position.realizedGain + gain, 2);
+        realized.push({
+          symbol: transaction.symbol,
+          assetType: position.assetType,
+          currency: position.currency,
+          date: transaction.date,
+          quantity: transaction.quantity,
+          price: transaction.price,
+          fees: transaction.fees,
+          proceeds,
+          costBasis,
+          gain,
+          lots: consumed
+        });
+        break;
+      }
+
+      case 'dividend': {
+        const held = positionQuantity(position);
+        const amount = transaction.amount > 0 ? transaction.amount : round(held * transaction.price, 2);
+        position.dividends = round(position.dividends + amount, 2);
+        dividends.push({ symbol: transaction.symbol, date: transaction.date, amount, unitsHeld: held });
+        break;
+      }
+
+      case 'split': {
+        position.lots.forEach(lot => {
+          lot.quantity = round(lot.quantity * transaction.ratio);
+          lot.costPerUnit /= transaction.ratio;
+        });
+        break;
+      }
+
+      case 'bonus': {
+        // Bonus units are whole units; fractional entitlements are not allotted
+        const bonusUnits = Math.floor(round(positionQuantity(position) * transaction.ratio));
+        if (bonusUnits > 0) {
+          position.lotCounter++;
+          position.lots.push({
+            lotId: `${transaction.symbol}-${transaction.date}-bonus-${position.lotCounter}`,
+            acquiredOn: transaction.date,
+            quantity: bonusUnits,
+            costPerUnit: 0,
+            bonus: true
+          });
+          if (method === 'average') {
+            averageLots(position);
+          }
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  const open = [...positions.values()]
+    .filter(position => positionQuantity(position) > 0)
+    .map(position => {
+      const quantity = positionQuantity(position);
+      const investedAmount = round(position.lots.reduce((sum, lot) => sum + lot.quantity * lot.costPerUnit, 0), 2);
+      return {
+        symbol: position.symbol,
+        assetType: position.assetType,
+        currency: position.currency,
+        quantity,
+        investedAmount,
+        averageCost: round(investedAmount / quantity, 4),
+        realizedGain: position.realizedGain,
+        dividends: position.dividends,
+        lots: position.lots.map(lot => ({
+          lotId: lot.lotId,
+          acquiredOn: lot.acquiredOn,
+          quantity: lot.quantity,
+          costPerUnit: round(lot.costPerUnit, 4),
+          cost: round(lot.quantity * lot.costPerUnit, 2),
+          bonus: lot.bonus
+        }))
+      };
+    });
+
+  return { method, positions: open, realized, dividends, errors };
+}
+
+// Function to turn open positions into the rows calculatePortfolioMetrics
+// reads. The purchase price is the unrounded average cost, so the invested
+// amount of each row is the position's actual cost basis.
+function positionsToHoldingRows(positions) {
+  return positions.map(position => ({
+    symbol: position.symbol,
+    quantity: String(position.quantity),
+    purchase_price: String(position.investedAmount / position.quantity),
+    asset_type: position.assetType || undefined,
+    currency: position.currency || undefined,
+    lots: position.lots,
+    realizedGain: position.realizedGain,
+    dividends: position.dividends
+  }));
+}
+
+// Function to run an import end to end: normalize rows, then rebuild positions
+function importTransactionLedger(rows, { method = 'fifo' } = {}) {
+  const { transactions, errors } = normalizeTransactions(rows);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  const ledger = buildPositions(transactions, { method });
+  return { ...ledger, transactions: transactions.length };
+}
+
+module.exports = {
+  COST_BASIS_METHODS,
+  parseTransactionDate,
+  parseRatio,
+  isTransactionLedger,
+  normalizeTransactions,
+  buildPositions,
+  positionsToHoldingRows,
+  importTransactionLedger
+};
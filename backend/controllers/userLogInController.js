@@ -1 +1,156 @@
-// Controller for logging in the user
\ No newline at end of file
+// Controller for logging in the user
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { connectToPostgresSQL } = require('../ConnectDB');
+const { AuthError, verifyPassword, toUser } = require('./userRegisterController');
+
+// Sessions are a short-lived access token plus a refresh token, both JWTs sent
+// as httpOnly cookies. Each refresh token has a row in refresh_tokens so it
+// can be revoked; refreshing rotates it, and presenting a revoked token again
+// revokes every session of that user (the token was probably stolen).
+// Configured by JWT_SECRET, JWT_ACCESS_TTL (default 15m) and
+// JWT_REFRESH_TTL_DAYS (default 7).
+
+const ACCESS_COOKIE = 'accessToken';
+const REFRESH_COOKIE = 'refreshToken';
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  console.warn('JWT_SECRET is not set; using a random secret, so sessions end when the server restarts');
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const accessTokenTtl = () => process.env.JWT_ACCESS_TTL || '15m';
+const refreshTokenDays = () => parseInt(process.env.JWT_REFRESH_TTL_DAYS, 10) || 7;
+
+// Function to check credentials and return the user
+async function loginUser({ email, password }) {
+  const pool = connectToPostgresSQL();
+  const result = await pool.query('SELECT * FROM users WHERE email = $1', [String(email || '').trim().toLowerCase()]);
+  const row = result.rows[0];
+
+  // Same error for unknown email and wrong password
+  if (!row || !(await verifyPassword(String(password || ''), row.password_hash))) {
+    throw new AuthError('Invalid email or password', 401);
+  }
+  return toUser(row);
+}
+
+// Function to issue an access token and a new refresh token for a user
+async function createSession(user) {
+  const pool = connectToPostgresSQL();
+  const tokenId = crypto.randomUUID();
+  const refreshExpiresAt = new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000);
+
+  await pool.query(
+    'INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES ($1, $2, $3)',
+    [tokenId, user.id, refreshExpiresAt]
+  );
+
+  const accessToken = jwt.sign(
+    { type: 'access', email: user.email, name: user.name, orgId: user.orgId, role: user.role },
+    jwtSecret,
+    { subject: user.id, expiresIn: accessTokenTtl() }
+  );
+  const refreshToken = jwt.sign(
+    { type: 'refresh' },
+    jwtSecret,
+    { subject: user.id, jwtid: tokenId, expiresIn: `${refreshTokenDays()}d` }
+  );
+
+  return { user, accessToken, refreshToken, refreshExpiresAt };
+}
+
+function verifyToken(token, type) {
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    if (payload.type !== type) {
+      throw new Error(`expected a ${type} token`);
+    }
+    return payload;
+  } catch (error) {
+    throw new AuthError('Invalid or expired session', 401);
+  }
+}
+
+// Function to read the user from an access token
+function verifyAccessToken(token) {
+  const payload = verifyToken(token, 'access');
+  return {
+    id: payload.sub,
+    email: payload.email,
+    name: payload.name,
+    orgId: payload.orgId || null,
+    role: payload.role || 'client'
+  };
+}
+
+// Function to exchange a refresh token for a new session, revoking the old token
+async function refreshSession(refreshToken) {
+  const payload = verifyToken(refreshToken, 'refresh');
+  const pool = connectToPostgresSQL();
+
+  const revoked = await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id',
+    [payload.jti, payload.sub]
+  );
+  if (revoked.rows.length === 0) {
+    await pool.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL', [payload.sub]);
+    console.warn(`Refresh token reuse detected for user ${payload.sub}; all sessions revoked`);
+    throw new AuthError('Invalid or expired session', 401);
+  }
+
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [payload.sub]);
+  if (result.rows.length === 0) {
+    throw new AuthError('Invalid or expired session', 401);
+  }
+  return createSession(toUser(result.rows[0]));
+}
+
+// Function to revoke the refresh token behind a session (logout)
+async function revokeSession(refreshToken) {
+  let payload;
+  try {
+    payload = verifyToken(refreshToken, 'refresh');
+  } catch (error) {
+    return; // Nothing to revoke
+  }
+  const pool = connectToPostgresSQL();
+  await pool.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [payload.jti]);
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax'
+  };
+}
+
+// Function to send a session as httpOnly cookies. The refresh cookie is only
+// sent to the auth endpoints.
+function setSessionCookies(res, session) {
+  res.cookie(ACCESS_COOKIE, session.accessToken, { ...cookieOptions(), path: '/' });
+  res.cookie(REFRESH_COOKIE, session.refreshToken, {
+    ...cookieOptions(),
+    path: '/api/auth',
+    expires: session.refreshExpiresAt
+  });
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, { ...cookieOptions(), path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...cookieOptions(), path: '/api/auth' });
+}
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  loginUser,
+  createSession,
+  verifyAccessToken,
+  refreshSession,
+  revokeSession,
+  setSessionCookies,
+  clearSessionCookies
+};
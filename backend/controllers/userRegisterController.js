@@ -1 +1,172 @@
-// Controller for registering of user
\ No newline at end of file
+// Controller for registering of user
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { connectToPostgresSQL } = require('../ConnectDB');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Passwords are hashed with scrypt and stored as "scrypt$<salt>$<hash>" (hex)
+const KEY_LENGTH = 64;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Raised for expected auth failures; `status` is the HTTP status to send
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Function to hash a password with a random salt
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+// Function to check a password against a stored hash in constant time
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+// Function to create the auth tables if they do not exist
+async function initializeUserTables() {
+  const pool = connectToPostgresSQL();
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id UUID PRIMARY KEY,
+        name TEXT NOT NULL,
+        invite_code TEXT UNIQUE NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        name TEXT,
+        password_hash TEXT NOT NULL,
+        org_id UUID REFERENCES organizations(id),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`);
+    console.log('User tables ready');
+  } catch (error) {
+    console.error('Error initializing user tables:', error);
+    throw error;
+  }
+}
+
+// Function to shape a users row for API responses and tokens
+function toUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    orgId: row.org_id || null,
+    role: row.role || 'client'
+  };
+}
+
+// Function to register a user. Pass organizationName to create a new
+// organization (its creator becomes the organization's admin), or inviteCode
+// to join an existing one as a client. Other roles are granted by an admin.
+async function registerUser({ email, password, name, organizationName, inviteCode }) {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw new AuthError('A valid email is required');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (organizationName && inviteCode) {
+    throw new AuthError('Pass either organizationName or inviteCode, not both');
+  }
+
+  const pool = connectToPostgresSQL();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT id FROM users WHERE email = $1', [normalizedEmail]);
+    if (existing.rows.length > 0) {
+      throw new AuthError('An account with this email already exists', 409);
+    }
+
+    let organization = null;
+    if (inviteCode) {
+      const result = await client.query('SELECT id, name FROM organizations WHERE invite_code = $1', [inviteCode]);
+      if (result.rows.length === 0) {
+        throw new AuthError('Invalid invite code');
+      }
+      organization = result.rows[0];
+    } else if (organizationName) {
+      const result = await client.query(
+        'INSERT INTO organizations (id, name, invite_code) VALUES ($1, $2, $3) RETURNING id, name, invite_code',
+        [crypto.randomUUID(), String(organizationName).trim(), crypto.randomBytes(12).toString('base64url')]
+      );
+      organization = result.rows[0];
+    }
+
+    const passwordHash = await hashPassword(password);
+    const result = await client.query(
+      'INSERT INTO users (id, email, name, password_hash, org_id, role) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [
+        crypto.randomUUID(),
+        normalizedEmail,
+        name ? String(name).trim() : null,
+        passwordHash,
+        organization ? organization.id : null,
+        organizationName ? 'admin' : 'client'
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      user: toUser(result.rows[0]),
+      organization: organization && {
+        id: organization.id,
+        name: organization.name,
+        // Only returned to the user who created the organization
+        inviteCode: organization.invite_code
+      }
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // Two registrations for the same email racing each other
+    if (error.code === '23505') {
+      throw new AuthError('An account with this email already exists', 409);
+    }
+    if (!(error instanceof AuthError)) {
+      console.error('Error registering user:', error);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  AuthError,
+  hashPassword,
+  verifyPassword,
+  initializeUserTables,
+  toUser,
+  registerUser
+};
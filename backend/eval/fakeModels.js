@@ -0,0 +1,84 @@
+const { createLLMClient } = require('../controllers/llmClient');
+const { createLocalProvider } = require('../controllers/embeddingProviders');
+const { splitSentences } = require('../controllers/chunker');
+const { contentWords } = require('./metrics');
+
+// Deterministic models for offline evaluation: the same inputs always give
+// the same answers, so metric changes come from the pipeline under test.
+
+const ABSTAIN_ANSWER = "The provided context doesn't contain enough information to answer this question.";
+
+// Function to read the numbered passages and the question back out of a
+// prompt built by buildAnswerPrompt()
+function parseAnswerPrompt(prompt) {
+  const contextStart = prompt.indexOf('Context:\n');
+  const questionStart = prompt.lastIndexOf('\n\nQuestion: ');
+  const answerStart = prompt.lastIndexOf('\n\nAnswer:');
+  if (contextStart === -1 || questionStart === -1) {
+    return null;
+  }
+
+  const passages = prompt
+    .slice(contextStart + 'Context:\n'.length, questionStart)
+    .split(/\n\n(?=\[\d+\] \()/)
+    .map(block => {
+      const match = block.match(/^\[(\d+)\] \([^\n]*\)\n([\s\S]*)$/);
+      return match ? { marker: parseInt(match[1], 10), content: match[2] } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    passages,
+    question: prompt.slice(questionStart + '\n\nQuestion: '.length, answerStart === -1 ? undefined : answerStart).trim()
+  };
+}
+
+// Function to answer extractively: the passage sentence sharing the most
+// content words with the question, cited with its passage number
+function extractiveAnswer(prompt) {
+  const parsed = parseAnswerPrompt(prompt);
+  if (!parsed) {
+    return ABSTAIN_ANSWER;
+  }
+
+  const questionWords = new Set(contentWords(parsed.question));
+  let best = null;
+  parsed.passages.forEach(({ marker, content }) => {
+    content.split('\n').flatMap(splitSentences).forEach(sentence => {
+      const sentenceWords = new Set(contentWords(sentence));
+      let shared = 0;
+      questionWords.forEach(word => {
+        if (sentenceWords.has(word)) {
+          shared++;
+        }
+      });
+      // Earlier passages win ties, as they ranked higher
+      if (shared > 0 && (!best || shared > best.shared)) {
+        best = { marker, sentence, shared };
+      }
+    });
+  });
+
+  if (!best) {
+    return ABSTAIN_ANSWER;
+  }
+  return `${best.sentence.replace(/[.!?]*$/, '')} [${best.marker}].`;
+}
+
+// Function to create the fake LLM client used by the harness
+function createExtractiveLLM() {
+  return createLLMClient({ provider: 'fake', model: 'extractive', script: [extractiveAnswer], maxRetries: 0 });
+}
+
+// The local hashing embedder is already deterministic and network-free
+function createFakeEmbedder(options = {}) {
+  return createLocalProvider(options);
+}
+
+module.exports = {
+  ABSTAIN_ANSWER,
+  parseAnswerPrompt,
+  extractiveAnswer,
+  createExtractiveLLM,
+  createFakeEmbedder
+};
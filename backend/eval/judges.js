@@ -0,0 +1,124 @@
+const path = require('path');
+const { splitSentences } = require('../controllers/chunker');
+const { contentWords } = require('./metrics');
+
+// Groundedness judges score how well an answer is supported by the passages
+// it was generated from. A judge is { name, score({ question, answer, contexts }) }
+// resolving to { score, details } with score in [0, 1], or null when the
+// answer makes no claims (e.g. it declines to answer).
+// Built in: 'overlap' (lexical, deterministic) and 'llm' (asks a model).
+// Any other name is loaded as a module path exporting a judge or a factory.
+
+const MARKER_PATTERN = /\[(\d+)\]/g;
+const ABSTAIN_PATTERN = /(does not|doesn't|do not|don't) (contain|have|provide) (enough|sufficient) information|cannot answer|unable to answer/i;
+
+// Lexical judge: an answer sentence is grounded when most of its content
+// words appear in the passages it cites (every retrieved passage if it
+// cites none) and every number in it appears there too.
+function createOverlapJudge(options = {}) {
+  const threshold = options.threshold ?? 0.7;
+
+  return {
+    name: 'overlap',
+    async score({ answer, contexts }) {
+      if (ABSTAIN_PATTERN.test(answer)) {
+        return { score: null, details: { abstained: true } };
+      }
+
+      const sentences = splitSentences(String(answer).replace(/\s+/g, ' '));
+      const checked = sentences.map(sentence => {
+        const markers = [...sentence.matchAll(MARKER_PATTERN)].map(match => parseInt(match[1], 10));
+        const cited = markers.map(marker => contexts[marker - 1]).filter(Boolean);
+        const evidence = new Set(contentWords((cited.length > 0 ? cited : contexts).join(' ')));
+
+        const words = contentWords(sentence.replace(MARKER_PATTERN, ' '));
+        const supported = words.filter(word => evidence.has(word)).length;
+        const overlap = words.length > 0 ? supported / words.length : 1;
+        const numbersSupported = words.filter(word => /\d/.test(word)).every(word => evidence.has(word));
+
+        return { sentence, overlap, grounded: overlap >= threshold && numbersSupported };
+      });
+
+      const grounded = checked.filter(sentence => sentence.grounded).length;
+      return {
+        score: checked.length > 0 ? grounded / checked.length : null,
+        details: { sentences: checked }
+      };
+    }
+  };
+}
+
+function buildJudgePrompt(question, answer, contexts) {
+  const passages = contexts.map((content, i) => `[${i + 1}] ${content}`).join('\n\n');
+  return `You are grading whether an answer is supported by the source passages it was written from.
+
+Passages:
+${passages}
+
+Question: ${question}
+
+Answer: ${answer}
+
+Count the factual claims in the answer and how many of them the passages directly support. Reply with JSON only, in the form {"supported": <number>, "claims": <number>, "unsupported": ["<claim>", ...]}.`;
+}
+
+// LLM judge: asks a model to count supported claims
+function createLLMJudge(options = {}) {
+  const { llm } = options;
+  if (!llm) {
+    throw new Error('The llm judge needs an LLM client');
+  }
+
+  return {
+    name: 'llm',
+    async score({ question, answer, contexts }) {
+      if (ABSTAIN_PATTERN.test(answer)) {
+        return { score: null, details: { abstained: true } };
+      }
+
+      const reply = await llm.generate(buildJudgePrompt(question, answer, contexts));
+      const json = reply.match(/\{[\s\S]*\}/);
+      let verdict;
+      try {
+        verdict = JSON.parse(json ? json[0] : reply);
+      } catch (error) {
+        return { score: null, details: { error: 'Judge reply was not JSON', reply } };
+      }
+
+      const claims = Number(verdict.claims);
+      const supported = Number(verdict.supported);
+      if (!(claims > 0) || Number.isNaN(supported)) {
+        return { score: null, details: { verdict } };
+      }
+      return {
+        score: Math.max(0, Math.min(1, supported / claims)),
+        details: { verdict }
+      };
+    }
+  };
+}
+
+const judgeFactories = {
+  overlap: createOverlapJudge,
+  llm: createLLMJudge
+};
+
+// Function to build a judge by name or module path
+function createJudge(name = 'overlap', options = {}) {
+  if (judgeFactories[name]) {
+    return judgeFactories[name](options);
+  }
+
+  const loaded = require(path.resolve(name));
+  const judge = typeof loaded === 'function' ? loaded(options) : loaded;
+  if (!judge || typeof judge.score !== 'function') {
+    throw new Error(`Judge module ${name} must export a judge with a score() function, or a factory returning one`);
+  }
+  return { name: judge.name || path.basename(name, path.extname(name)), score: judge.score.bind(judge) };
+}
+
+module.exports = {
+  createOverlapJudge,
+  createLLMJudge,
+  createJudge
+};
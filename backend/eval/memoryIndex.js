@@ -0,0 +1,201 @@
+// In-memory stand-in for the parts of the Elasticsearch client that
+// indexDocument() and searchSimilarChunks() use, so the evaluation harness
+// runs the real indexing and retrieval code without a cluster. Responses have
+// the v9 client's shape (no `body` wrapper). Keyword search is BM25 (k1 1.2,
+// b 0.75, like Elasticsearch's default similarity) and kNN is exact cosine
+// similarity, so scores are close to, not identical with, a real index.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function tokenize(text) {
+  return String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function fieldValue(doc, field) {
+  return doc[field.replace(/\.keyword$/, '')];
+}
+
+// Function to evaluate the filter clauses the backend builds (term, terms, range, bool)
+function matchesFilter(doc, clause) {
+  if (!clause) {
+    return true;
+  }
+  if (Array.isArray(clause)) {
+    return clause.every(item => matchesFilter(doc, item));
+  }
+  if (clause.term) {
+    const [field, value] = Object.entries(clause.term)[0];
+    return fieldValue(doc, field) === value;
+  }
+  if (clause.terms) {
+    const [field, values] = Object.entries(clause.terms)[0];
+    return values.includes(fieldValue(doc, field));
+  }
+  if (clause.range) {
+    const [field, range] = Object.entries(clause.range)[0];
+    const value = new Date(fieldValue(doc, field)).getTime();
+    return (range.gte === undefined || value >= new Date(range.gte).getTime())
+      && (range.lte === undefined || value <= new Date(range.lte).getTime());
+  }
+  if (clause.bool) {
+    const { filter = [], must = [], must_not: mustNot = [], should = [] } = clause.bool;
+    const required = [].concat(filter, must).filter(item => !item.multi_match);
+    const minimumShould = clause.bool.minimum_should_match ?? (required.length > 0 ? 0 : 1);
+    const shouldMatches = [].concat(should).filter(item => matchesFilter(doc, item)).length;
+    return required.every(item => matchesFilter(doc, item))
+      && ![].concat(mustNot).some(item => matchesFilter(doc, item))
+      && ([].concat(should).length === 0 || shouldMatches >= minimumShould);
+  }
+  return true;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function selectSource(doc, fields) {
+  if (!Array.isArray(fields)) {
+    return { ...doc };
+  }
+  const source = {};
+  fields.forEach(field => {
+    if (doc[field] !== undefined) {
+      source[field] = doc[field];
+    }
+  });
+  return source;
+}
+
+// Function to create an empty in-memory index client
+function createMemoryIndex() {
+  const indices = new Map();
+  const getIndex = name => {
+    if (!indices.has(name)) {
+      indices.set(name, new Map());
+    }
+    return indices.get(name);
+  };
+
+  // BM25 over one text field; field boosts use the "field^2" syntax
+  function scoreField(docs, field, queryTokens) {
+    const [name, boostText] = field.split('^');
+    const boost = parseFloat(boostText) || 1;
+    const fieldTokens = docs.map(doc => tokenize(fieldValue(doc, name)));
+    const averageLength = fieldTokens.reduce((sum, tokens) => sum + tokens.length, 0) / Math.max(docs.length, 1);
+
+    return fieldTokens.map(tokens => {
+      let score = 0;
+      new Set(queryTokens).forEach(term => {
+        const frequency = tokens.filter(token => token === term).length;
+        if (frequency === 0) {
+          return;
+        }
+        const documentFrequency = fieldTokens.filter(other => other.includes(term)).length;
+        const idf = Math.log(1 + (docs.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const lengthNorm = 1 - BM25_B + BM25_B * (tokens.length / (averageLength || 1));
+        score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      });
+      return score * boost;
+    });
+  }
+
+  function keywordSearch(docs, query) {
+    const bool = query.bool || { must: query };
+    const multiMatch = [].concat(bool.must || []).find(clause => clause.multi_match).multi_match;
+    const candidates = docs.filter(([, doc]) => matchesFilter(doc, bool.filter));
+    const queryTokens = tokenize(multiMatch.query);
+
+    // multi_match defaults to best_fields: the best single field score counts
+    const fieldScores = multiMatch.fields.map(field => scoreField(candidates.map(([, doc]) => doc), field, queryTokens));
+    return candidates
+      .map(([id, doc], i) => ({ id, doc, score: Math.max(...fieldScores.map(scores => scores[i])) }))
+      .filter(hit => hit.score > 0);
+  }
+
+  function knnSearch(docs, knn) {
+    return docs
+      .filter(([, doc]) => Array.isArray(doc[knn.field]) && matchesFilter(doc, knn.filter))
+      // Elasticsearch reports cosine similarity as (1 + cosine) / 2
+      .map(([id, doc]) => ({ id, doc, score: (1 + cosineSimilarity(knn.query_vector, doc[knn.field])) / 2 }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, knn.k);
+  }
+
+  return {
+    indices: {
+      async create({ index }) {
+        getIndex(index);
+        return { acknowledged: true };
+      },
+      async refresh() {
+        return {};
+      },
+      async delete({ index }) {
+        indices.delete(index);
+        return { acknowledged: true };
+      }
+    },
+
+    async bulk({ body }) {
+      const items = [];
+      for (let i = 0; i < body.length; i += 2) {
+        const { _index, _id } = body[i].index;
+        getIndex(_index).set(_id, body[i + 1]);
+        items.push({ index: { _index, _id, status: 201 } });
+      }
+      return { errors: false, items };
+    },
+
+    async search({ index, body }) {
+      const docs = [...getIndex(index).entries()];
+      let hits;
+      if (body.knn) {
+        hits = knnSearch(docs, body.knn);
+      } else if (body.query && JSON.stringify(body.query).includes('"multi_match"')) {
+        hits = keywordSearch(docs, body.query);
+      } else {
+        hits = docs.filter(([, doc]) => matchesFilter(doc, body.query)).map(([id, doc]) => ({ id, doc, score: 1 }));
+      }
+
+      hits.sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+      return {
+        hits: {
+          total: { value: hits.length },
+          hits: hits.slice(0, body.size ?? 10).map(hit => ({
+            _id: hit.id,
+            _score: hit.score,
+            _source: selectSource(hit.doc, body._source)
+          }))
+        }
+      };
+    },
+
+    async deleteByQuery({ index, body }) {
+      const docs = getIndex(index);
+      let deleted = 0;
+      [...docs.entries()].forEach(([id, doc]) => {
+        if (matchesFilter(doc, body.query)) {
+          docs.delete(id);
+          deleted++;
+        }
+      });
+      return { deleted };
+    },
+
+    async count({ index, body = {} }) {
+      const docs = [...getIndex(index).values()];
+      return { count: docs.filter(doc => matchesFilter(doc, body.query)).length };
+    }
+  };
+}
+
+module.exports = { createMemoryIndex };
@@ -0,0 +1,129 @@
+// Retrieval and answer metrics for the evaluation harness.
+//
+// Golden questions name their evidence instead of chunk ids, so the same
+// golden set works with any chunking strategy:
+//   relevant: [{ filename, evidence }]
+// A retrieved chunk supports an item when it comes from that file and, if
+// evidence is given, contains the evidence text (compared after lowercasing
+// and dropping punctuation, since chunkers rewrite punctuation).
+
+const MARKER_PATTERN = /\[(\d+)\]/g;
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'are', 'was', 'were', 'be', 'by',
+  'with', 'as', 'at', 'it', 'its', 'this', 'that', 'from', 'which', 'can', 'will', 'has', 'have',
+  'what', 'how', 'does', 'do', 'i', 'my', 'if'
+]);
+
+function normalizeText(text) {
+  return String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Function to list the words of a text that carry meaning
+function contentWords(text) {
+  return normalizeText(text).split(' ').filter(word => word && !STOPWORDS.has(word));
+}
+
+// Function to list the golden items a retrieved chunk supports
+function supportedItems(chunk, relevant) {
+  const content = ` ${normalizeText(chunk.content)} `;
+  return relevant
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => chunk.filename === item.filename
+      && (!item.evidence || content.includes(` ${normalizeText(item.evidence)} `)))
+    .map(({ index }) => index);
+}
+
+function isRelevant(chunk, relevant) {
+  return supportedItems(chunk, relevant).length > 0;
+}
+
+// Function to compute recall@k, MRR and nDCG@k for one question. A chunk
+// only gains credit for golden items no earlier chunk already covered, so
+// several chunks repeating the same evidence do not inflate nDCG.
+function retrievalMetrics(retrieved, relevant, k) {
+  const topK = retrieved.slice(0, k);
+  const covered = new Set();
+  let dcg = 0;
+  let firstRelevantRank = null;
+
+  topK.forEach((chunk, i) => {
+    const items = supportedItems(chunk, relevant);
+    if (items.length > 0 && firstRelevantRank === null) {
+      firstRelevantRank = i + 1;
+    }
+    const newItems = items.filter(index => !covered.has(index));
+    if (newItems.length > 0) {
+      dcg += 1 / Math.log2(i + 2);
+    }
+    newItems.forEach(index => covered.add(index));
+  });
+
+  let idealDcg = 0;
+  for (let i = 0; i < Math.min(k, relevant.length); i++) {
+    idealDcg += 1 / Math.log2(i + 2);
+  }
+
+  return {
+    recall: relevant.length > 0 ? covered.size / relevant.length : null,
+    reciprocalRank: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcg: idealDcg > 0 ? dcg / idealDcg : null
+  };
+}
+
+// SQuAD-style answer normalization: citations, case, punctuation and articles do not count
+function normalizeAnswer(text) {
+  return normalizeText(String(text ?? '').replace(MARKER_PATTERN, ' '))
+    .split(' ')
+    .filter(word => word && !['a', 'an', 'the'].includes(word))
+    .join(' ');
+}
+
+// Function to score an answer against the accepted answers. exactMatch needs
+// the whole answer to match; containsAnswer accepts a longer answer that
+// includes one of them.
+function answerMetrics(answer, expectedAnswers = []) {
+  if (expectedAnswers.length === 0) {
+    return { exactMatch: null, containsAnswer: null };
+  }
+  const normalized = normalizeAnswer(answer);
+  const expected = expectedAnswers.map(normalizeAnswer);
+  return {
+    exactMatch: expected.some(candidate => candidate === normalized) ? 1 : 0,
+    containsAnswer: expected.some(candidate => ` ${normalized} `.includes(` ${candidate} `)) ? 1 : 0
+  };
+}
+
+// Function to check the [n] markers in an answer: a citation is correct when
+// passage n was retrieved and supports one of the golden items. Returns null
+// when the answer cites nothing.
+function citationCorrectness(answer, retrieved, relevant) {
+  const markers = [...String(answer ?? '').matchAll(MARKER_PATTERN)].map(match => parseInt(match[1], 10));
+  if (markers.length === 0) {
+    return null;
+  }
+  const correct = markers.filter(marker => (
+    marker >= 1 && marker <= retrieved.length && isRelevant(retrieved[marker - 1], relevant)
+  ));
+  return correct.length / markers.length;
+}
+
+// Function to average each metric over the questions where it applies
+function summarize(results, metricNames) {
+  const summary = {};
+  metricNames.forEach(name => {
+    const values = results.map(result => result.metrics[name]).filter(value => typeof value === 'number');
+    summary[name] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  });
+  return summary;
+}
+
+module.exports = {
+  normalizeText,
+  contentWords,
+  supportedItems,
+  retrievalMetrics,
+  normalizeAnswer,
+  answerMetrics,
+  citationCorrectness,
+  summarize
+};
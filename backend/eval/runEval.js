@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// Offline evaluation of the RAG pipeline. Indexes a folder of fixture
+// documents with the real chunking and indexing code into an in-memory
+// index, asks every golden question through searchSimilarChunks and the
+// answer prompt, and reports retrieval and answer metrics, compared with a
+// saved baseline.
+//
+//   npm run eval -- [--dataset eval/datasets/sample] [--k 5] [--strategy structured]
+//                   [--embedder fake|configured] [--llm fake|configured]
+//                   [--judge overlap|llm|<module path>] [--rerank]
+//                   [--baseline <file>] [--save-baseline] [--tolerance 0.02] [--output <file>]
+//
+// A dataset folder holds documents/ (any format the upload endpoint accepts)
+// and golden.json:
+//   { "questions": [{ "id", "question", "relevant": [{ "filename", "evidence" }],
+//                     "answers": ["accepted answer", ...], "filters": {} }] }
+// The baseline defaults to <dataset>/baseline.json. The process exits with 1
+// when a metric drops below the baseline by more than the tolerance.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  setEmbeddingProvider,
+  getEmbeddingProvider,
+  chunkDocument,
+  indexDocument,
+  searchSimilarChunks,
+  parseDocumentFile,
+  generateGeminiResponse
+} = require('../controllers/documentController');
+const { createEmbeddingProvider } = require('../controllers/embeddingProviders');
+const { createLLMClient } = require('../controllers/llmClient');
+const { rerankChunks } = require('../controllers/reranker');
+const { createMemoryIndex } = require('./memoryIndex');
+const { createExtractiveLLM, createFakeEmbedder } = require('./fakeModels');
+const { createJudge } = require('./judges');
+const { retrievalMetrics, answerMetrics, citationCorrectness, summarize } = require('./metrics');
+
+const METRICS = ['recall', 'mrr', 'ndcg', 'exactMatch', 'containsAnswer', 'citationCorrectness', 'groundedness'];
+const NO_RESULTS_ANSWER = "I couldn't find any relevant information in the uploaded documents to answer your question.";
+
+// Function to read a dataset folder
+function loadDataset(datasetDir) {
+  const documentsDir = path.join(datasetDir, 'documents');
+  const golden = JSON.parse(fs.readFileSync(path.join(datasetDir, 'golden.json'), 'utf8'));
+  if (!Array.isArray(golden.questions) || golden.questions.length === 0) {
+    throw new Error(`${datasetDir}/golden.json must have a non-empty questions array`);
+  }
+
+  golden.questions.forEach((question, i) => {
+    if (!question.question || !Array.isArray(question.relevant)) {
+      throw new Error(`Golden question ${question.id || i + 1} needs a question and a relevant array`);
+    }
+  });
+
+  return {
+    name: path.basename(path.resolve(datasetDir)),
+    documents: fs.readdirSync(documentsDir).sort().map(filename => path.join(documentsDir, filename)),
+    questions: golden.questions.map((question, i) => ({ id: question.id || `q${i + 1}`, ...question }))
+  };
+}
+
+// Function to parse, chunk and index every fixture document
+async function indexFixtures(documents, esClient, { strategy } = {}) {
+  let chunkCount = 0;
+  for (const filePath of documents) {
+    const filename = path.basename(filePath);
+    const { text, pages, structure } = await parseDocumentFile(filePath, { originalname: filename });
+    const chunks = chunkDocument(text, strategy, { pages, structure });
+    await indexDocument(chunks, filename, esClient, { access: { ownerId: 'eval' } });
+    chunkCount += chunks.length;
+  }
+  return chunkCount;
+}
+
+// Function to run one golden question through retrieval, generation and scoring
+async function evaluateQuestion(item, { esClient, llm, judge, k, rerank }) {
+  const candidates = await searchSimilarChunks(item.question, esClient, rerank ? Math.max(k, 20) : k, {
+    filters: item.filters || {},
+    includeEmbeddings: rerank
+  });
+  const retrieved = rerank
+    ? (await rerankChunks(item.question, candidates, { llm })).slice(0, k)
+    : candidates;
+
+  const answer = retrieved.length > 0
+    ? await generateGeminiResponse(item.question, retrieved, llm)
+    : NO_RESULTS_ANSWER;
+
+  const retrieval = retrievalMetrics(retrieved, item.relevant, k);
+  const grounding = await judge.score({
+    question: item.question,
+    answer,
+    contexts: retrieved.map(chunk => chunk.content)
+  });
+
+  return {
+    id: item.id,
+    question: item.question,
+    answer,
+    retrieved: retrieved.map(chunk => ({ filename: chunk.filename, chunkId: chunk.chunkId, score: chunk.score })),
+    metrics: {
+      recall: retrieval.recall,
+      mrr: retrieval.reciprocalRank,
+      ndcg: retrieval.ndcg,
+      ...answerMetrics(answer, item.answers),
+      citationCorrectness: citationCorrectness(answer, retrieved, item.relevant),
+      groundedness: grounding.score
+    },
+    judge: grounding.details
+  };
+}
+
+// Function to compare a summary with a baseline. Returns one row per metric
+// with the change and whether it is a regression beyond `tolerance`.
+function compareWithBaseline(summary, baseline, tolerance) {
+  return METRICS.map(metric => {
+    const current = summary[metric];
+    const previous = baseline ? baseline.summary[metric] : null;
+    const delta = typeof current === 'number' && typeof previous === 'number' ? current - previous : null;
+    return {
+      metric,
+      current,
+      baseline: previous ?? null,
+      delta,
+      regressed: delta !== null && delta < -tolerance
+    };
+  });
+}
+
+// Function to run a full evaluation. options: { dataset, k, strategy,
+// embedder, llm, judge, rerank }; embedder and llm are 'fake' or 'configured'.
+async function runEvaluation(options) {
+  const { dataset: datasetDir, k = 5, strategy, embedder = 'fake', llm: llmChoice = 'fake', judge: judgeName = 'overlap', rerank = false } = options;
+  const dataset = loadDataset(datasetDir);
+
+  setEmbeddingProvider(embedder === 'configured' ? createEmbeddingProvider() : createFakeEmbedder());
+  const llm = llmChoice === 'configured' ? createLLMClient() : createExtractiveLLM();
+  if (judgeName === 'llm' && llmChoice !== 'configured') {
+    throw new Error('The llm judge needs a real model; pass --llm configured');
+  }
+  const judge = createJudge(judgeName, { llm });
+
+  const esClient = createMemoryIndex();
+  const chunkCount = await indexFixtures(dataset.documents, esClient, { strategy });
+
+  const results = [];
+  for (const item of dataset.questions) {
+    results.push(await evaluateQuestion(item, { esClient, llm, judge, k, rerank }));
+  }
+
+  return {
+    dataset: dataset.name,
+    createdAt: new Date().toISOString(),
+    config: {
+      k,
+      strategy: strategy || process.env.CHUNK_STRATEGY || 'structured',
+      embedder: `${getEmbeddingProvider().name}/${getEmbeddingProvider().model}`,
+      llm: `${llm.provider}/${llm.model}`,
+      judge: judge.name,
+      rerank
+    },
+    documents: dataset.documents.length,
+    chunks: chunkCount,
+    summary: summarize(results, METRICS),
+    questions: results
+  };
+}
+
+function formatValue(value, signed = false) {
+  if (typeof value !== 'number') {
+    return '-';
+  }
+  const text = value.toFixed(3);
+  return signed && value >= 0 ? `+${text}` : text;
+}
+
+function printReport(report, comparison, baseline) {
+  console.log(`\nDataset ${report.dataset}: ${report.documents} documents, ${report.chunks} chunks, ${report.questions.length} questions`);
+  console.log(`Config: ${JSON.stringify(report.config)}`);
+  if (baseline) {
+    const changed = Object.keys(report.config).filter(key => JSON.stringify(report.config[key]) !== JSON.stringify(baseline.config[key]));
+    console.log(`Baseline from ${baseline.createdAt}${changed.length > 0 ? ` (differs in: ${changed.join(', ')})` : ''}`);
+  }
+
+  console.log(`\n${'metric'.padEnd(22)}${'current'.padStart(10)}${'baseline'.padStart(10)}${'delta'.padStart(10)}`);
+  comparison.forEach(row => {
+    console.log(`${row.metric.padEnd(22)}${formatValue(row.current).padStart(10)}${formatValue(row.baseline).padStart(10)}${formatValue(row.delta, true).padStart(10)}${row.regressed ? '  REGRESSED' : ''}`);
+  });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      dataset: { type: 'string', default: path.join(__dirname, 'datasets', 'sample') },
+      k: { type: 'string', default: '5' },
+      strategy: { type: 'string' },
+      embedder: { type: 'string', default: 'fake' },
+      llm: { type: 'string', default: 'fake' },
+      judge: { type: 'string', default: 'overlap' },
+      rerank: { type: 'boolean', default: false },
+      baseline: { type: 'string' },
+      'save-baseline': { type: 'boolean', default: false },
+      tolerance: { type: 'string', default: '0.02' },
+      output: { type: 'string' }
+    }
+  });
+
+  const k = parseInt(values.k, 10);
+  if (!(k > 0)) {
+    throw new Error('--k must be a positive integer');
+  }
+  for (const option of ['embedder', 'llm']) {
+    if (!['fake', 'configured'].includes(values[option])) {
+      throw new Error(`--${option} must be "fake" or "configured"`);
+    }
+  }
+
+  const report = await runEvaluation({ ...values, k });
+  const baselinePath = values.baseline || path.join(values.dataset, 'baseline.json');
+  const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, 'utf8')) : null;
+  const comparison = compareWithBaseline(report.summary, baseline, parseFloat(values.tolerance) || 0);
+
+  printReport(report, comparison, baseline);
+
+  if (values.output) {
+    fs.writeFileSync(values.output, JSON.stringify({ ...report, comparison }, null, 2));
+    console.log(`\nFull report written to ${values.output}`);
+  }
+  if (values['save-baseline']) {
+    const { questions, ...saved } = report;
+    fs.writeFileSync(baselinePath, `${JSON.stringify(saved, null, 2)}\n`);
+    console.log(`\nBaseline saved to ${baselinePath}`);
+    return 0;
+  }
+  if (!baseline) {
+    console.log('\nNo baseline found; run with --save-baseline to create one');
+    return 0;
+  }
+  return comparison.some(row => row.regressed) ? 1 : 0;
+}
+
+if (require.main === module) {
+  main()
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error('Evaluation failed:', error.message);
+      process.exitCode = 2;
+    });
+}
+
+module.exports = {
+  METRICS,
+  loadDataset,
+  indexFixtures,
+  evaluateQuestion,
+  compareWithBaseline,
+  runEvaluation
+};
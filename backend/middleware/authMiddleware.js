@@ -0,0 +1,46 @@
+const { ACCESS_COOKIE, verifyAccessToken } = require('../controllers/userLogInController');
+const { hasPermission } = require('../controllers/accessControl');
+
+// Fill in req.user from the access token cookie (or an "Authorization: Bearer"
+// header for API clients). Requests without a valid token continue anonymously.
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = (req.cookies && req.cookies[ACCESS_COOKIE])
+    || (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+  if (token) {
+    try {
+      req.user = verifyAccessToken(token);
+    } catch (error) {
+      req.user = null;
+    }
+  }
+  next();
+}
+
+// Reject requests that are not signed in
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+// Reject requests whose role does not grant `permission` (see accessControl.js)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requirePermission
+};
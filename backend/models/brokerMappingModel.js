@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A user's saved column mapping for a broker export the built-in adapters do
+// not recognize. columns maps canonical fields (symbol, quantity, ...) to the
+// export's header names.
+const brokerMappingSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  kind: { type: String, enum: ['holdings', 'transactions'], default: 'holdings' },
+  columns: { type: Map, of: String, required: true },
+  dateFormat: { type: String, enum: ['DMY', 'MDY', 'YMD'], default: 'DMY' },
+  // Transaction type values of the export mapped to buy, sell, dividend, split or bonus
+  typeValues: { type: Map, of: String, default: undefined }
+}, { timestamps: true });
+
+brokerMappingSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('BrokerMapping', brokerMappingSchema);
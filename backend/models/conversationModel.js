@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  role: { type: String, enum: ['user', 'assistant'], required: true },
+  content: { type: String, required: true },
+  // For user turns: the follow-up rewritten into a standalone search query
+  standaloneQuestion: { type: String },
+  citations: { type: Array, default: undefined },
+  sources: { type: Array, default: undefined },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  title: { type: String, required: true },
+  messages: { type: [messageSchema], default: [] }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,131 @@
+const express = require('express');
+const {
+  ROLES,
+  hasPermission,
+  listOrganizationUsers,
+  getOrganizationUser,
+  setUserRole,
+  listAssignedClients,
+  assignClient,
+  unassignClient
+} = require('../controllers/accessControl');
+const { requirePermission } = require('../middleware/authMiddleware');
+
+// Export router function
+module.exports = () => {
+  const router = express.Router();
+
+  // Roles and assignments only exist inside an organization
+  const requireOrganization = (req, res, next) => {
+    if (!req.user.orgId) {
+      return res.status(400).json({ error: 'You are not a member of an organization' });
+    }
+    next();
+  };
+
+  // List the users of the caller's organization with their roles
+  router.get('/users', requirePermission('users:read'), requireOrganization, async (req, res) => {
+    try {
+      const users = await listOrganizationUsers(req.user.orgId);
+      res.json({ users });
+
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({ error: 'Failed to fetch users' });
+    }
+  });
+
+  // Change a user's role. Body: { role }
+  router.post('/users/:userId/role', requirePermission('users:manage'), requireOrganization, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+      }
+      if (userId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+      }
+
+      const updated = await setUserRole(userId, role, req.user.orgId);
+      if (!updated) {
+        return res.status(404).json({ error: 'User not found in this organization' });
+      }
+
+      res.json({ userId, role });
+
+    } catch (error) {
+      console.error('Error updating role:', error);
+      res.status(500).json({ error: 'Failed to update role' });
+    }
+  });
+
+  // List an advisor's clients. Advisors may list their own; admins and
+  // compliance officers may list anyone's in their organization.
+  router.get('/advisors/:advisorId/clients', requireOrganization, async (req, res) => {
+    try {
+      const advisorId = req.params.advisorId === 'me' ? req.user.id : req.params.advisorId;
+      if (advisorId !== req.user.id && !hasPermission(req.user, 'users:read')) {
+        return res.status(403).json({ error: 'You do not have permission to do this' });
+      }
+      if (!(await getOrganizationUser(advisorId, req.user.orgId))) {
+        return res.status(404).json({ error: 'Advisor not found in this organization' });
+      }
+
+      const clients = await listAssignedClients(advisorId);
+      res.json({ advisorId, clients });
+
+    } catch (error) {
+      console.error('Error fetching assigned clients:', error);
+      res.status(500).json({ error: 'Failed to fetch assigned clients' });
+    }
+  });
+
+  // Assign a client to an advisor. Body: { clientId }
+  router.post('/advisors/:advisorId/clients', requirePermission('users:manage'), requireOrganization, async (req, res) => {
+    try {
+      const { advisorId } = req.params;
+      const { clientId } = req.body;
+
+      if (!clientId) {
+        return res.status(400).json({ error: 'clientId is required' });
+      }
+
+      const problem = await assignClient(advisorId, clientId, req.user.orgId, req.user.id);
+      if (problem) {
+        return res.status(404).json({ error: problem });
+      }
+
+      res.status(201).json({ advisorId, clientId });
+
+    } catch (error) {
+      console.error('Error assigning client:', error);
+      res.status(500).json({ error: 'Failed to assign client' });
+    }
+  });
+
+  // Remove a client from an advisor
+  router.delete('/advisors/:advisorId/clients/:clientId', requirePermission('users:manage'), requireOrganization, async (req, res) => {
+    try {
+      const { advisorId, clientId } = req.params;
+
+      if (!(await getOrganizationUser(advisorId, req.user.orgId))) {
+        return res.status(404).json({ error: 'Advisor not found in this organization' });
+      }
+
+      const removed = await unassignClient(advisorId, clientId);
+      if (!removed) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+
+      res.json({ message: 'Client unassigned', advisorId, clientId });
+
+    } catch (error) {
+      console.error('Error unassigning client:', error);
+      res.status(500).json({ error: 'Failed to unassign client' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,120 @@
+const express = require('express');
+const {
+  searchAuditEntries,
+  getAuditEntry,
+  verifyAuditChain,
+  auditEntriesToCsv
+} = require('../controllers/auditLog');
+const { requirePermission } = require('../middleware/authMiddleware');
+
+// Export router function
+module.exports = () => {
+  const router = express.Router();
+
+  // Audit views are for compliance officers, limited to their organization
+  router.use('/audit', requirePermission('audit:read'), (req, res, next) => {
+    if (!req.user.orgId) {
+      return res.status(400).json({ error: 'You are not a member of an organization' });
+    }
+    next();
+  });
+
+  const readFilters = query => {
+    for (const field of ['from', 'to']) {
+      if (query[field] && Number.isNaN(Date.parse(query[field]))) {
+        return { error: `${field} must be a valid date` };
+      }
+    }
+    return {
+      filters: {
+        userId: query.userId,
+        action: query.action,
+        complianceStatus: query.complianceStatus,
+        from: query.from,
+        to: query.to,
+        q: query.q,
+        limit: query.limit,
+        offset: query.offset
+      }
+    };
+  };
+
+  // Search entries. Query: userId, action, complianceStatus, from, to, q (text
+  // in prompt or output), limit (max 1000), offset
+  router.get('/audit', async (req, res) => {
+    try {
+      const { filters, error } = readFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const result = await searchAuditEntries(req.user.orgId, filters);
+      res.json(result);
+
+    } catch (error) {
+      console.error('Error searching audit log:', error);
+      res.status(500).json({ error: 'Failed to search audit log' });
+    }
+  });
+
+  // Download matching entries as ?format=csv (default) or json; same filters as /audit
+  router.get('/audit/export', async (req, res) => {
+    try {
+      const { filters, error } = readFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const format = req.query.format || 'csv';
+      if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be "csv" or "json"' });
+      }
+
+      const { entries } = await searchAuditEntries(req.user.orgId, { ...filters, limit: filters.limit || 1000 });
+      const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'json') {
+        return res.json({ exportedAt: new Date().toISOString(), entries });
+      }
+      res.type('text/csv').send(auditEntriesToCsv(entries));
+
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      res.status(500).json({ error: 'Failed to export audit log' });
+    }
+  });
+
+  // Recompute the hash chain and report the first entry that does not match
+  router.get('/audit/verify', async (req, res) => {
+    try {
+      const result = await verifyAuditChain();
+      res.json(result);
+
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+  });
+
+  // Get one entry by sequence number
+  router.get('/audit/:seq', async (req, res) => {
+    try {
+      const seq = parseInt(req.params.seq, 10);
+      if (Number.isNaN(seq)) {
+        return res.status(400).json({ error: 'seq must be a number' });
+      }
+
+      const entry = await getAuditEntry(seq, req.user.orgId);
+      if (!entry) {
+        return res.status(404).json({ error: 'Audit entry not found' });
+      }
+      res.json({ entry });
+
+    } catch (error) {
+      console.error('Error fetching audit entry:', error);
+      res.status(500).json({ error: 'Failed to fetch audit entry' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,74 @@
+const express = require('express');
+const {
+  listAdapters,
+  validateMapping,
+  isMappingStoreReady,
+  listSavedMappings,
+  saveMapping,
+  deleteMapping
+} = require('../controllers/brokerAdapters');
+const { requirePermission } = require('../middleware/authMiddleware');
+
+// Export router function
+module.exports = () => {
+  const router = express.Router();
+
+  // Built-in broker formats recognized on upload
+  router.get('/broker-formats', (req, res) => {
+    res.json({ formats: listAdapters() });
+  });
+
+  router.use('/broker-mappings', (req, res, next) => {
+    if (!isMappingStoreReady()) {
+      return res.status(503).json({ error: 'Mapping store is not available' });
+    }
+    next();
+  });
+
+  // List the caller's saved column mappings
+  router.get('/broker-mappings', async (req, res) => {
+    try {
+      const mappings = await listSavedMappings(req.user.id);
+      res.json({ mappings });
+    } catch (error) {
+      console.error('Error fetching broker mappings:', error);
+      res.status(500).json({ error: 'Failed to fetch broker mappings' });
+    }
+  });
+
+  // Save a column mapping, replacing one of the same name.
+  // Body: { name, kind, columns: { symbol: 'Ticker', ... }, dateFormat, typeValues }
+  router.post('/broker-mappings', requirePermission('data:write'), async (req, res) => {
+    try {
+      const mapping = req.body || {};
+      const name = typeof mapping.name === 'string' ? mapping.name.trim() : '';
+      if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      const errors = validateMapping(mapping);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid mapping', details: errors });
+      }
+
+      const saved = await saveMapping(req.user.id, { ...mapping, name });
+      res.status(201).json({ mapping: saved });
+    } catch (error) {
+      console.error('Error saving broker mapping:', error);
+      res.status(500).json({ error: 'Failed to save broker mapping' });
+    }
+  });
+
+  router.delete('/broker-mappings/:name', requirePermission('data:write'), async (req, res) => {
+    try {
+      if (!(await deleteMapping(req.user.id, req.params.name))) {
+        return res.status(404).json({ error: 'Mapping not found' });
+      }
+      res.json({ message: 'Mapping deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting broker mapping:', error);
+      res.status(500).json({ error: 'Failed to delete broker mapping' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,88 @@
+const express = require('express');
+const Conversation = require('../models/conversationModel');
+const { getConversation, isConversationStoreReady } = require('../controllers/conversationController');
+
+// Export router function
+module.exports = () => {
+  const router = express.Router();
+
+  router.use('/conversations', (req, res, next) => {
+    if (!isConversationStoreReady()) {
+      return res.status(503).json({ error: 'Conversation store is not available' });
+    }
+    next();
+  });
+
+  // List conversations for a user, most recent first
+  router.get('/conversations', async (req, res) => {
+    try {
+      const userId = req.user?.id || 'anonymous';
+
+      const conversations = await Conversation.find({ userId })
+        .sort({ updatedAt: -1 })
+        .limit(50)
+        .lean();
+
+      res.json({
+        conversations: conversations.map(conversation => ({
+          id: conversation._id,
+          title: conversation.title,
+          messageCount: conversation.messages.length,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt
+        }))
+      });
+
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+  });
+
+  // Get a conversation with all its messages (to resume it)
+  router.get('/conversations/:conversationId', async (req, res) => {
+    try {
+      const userId = req.user?.id || 'anonymous';
+      const conversation = await getConversation(req.params.conversationId, userId);
+
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      res.json({
+        conversation: {
+          id: conversation._id,
+          title: conversation.title,
+          messages: conversation.messages,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt
+        }
+      });
+
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+      res.status(500).json({ error: 'Failed to fetch conversation' });
+    }
+  });
+
+  // Delete a conversation
+  router.delete('/conversations/:conversationId', async (req, res) => {
+    try {
+      const userId = req.user?.id || 'anonymous';
+      const conversation = await getConversation(req.params.conversationId, userId);
+
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+
+      await conversation.deleteOne();
+      res.json({ message: 'Conversation deleted successfully' });
+
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+  });
+
+  return router;
+};
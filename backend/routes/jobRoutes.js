@@ -0,0 +1,62 @@
+const express = require('express');
+
+// Export a function that takes the job queue as a parameter
+module.exports = (jobQueue) => {
+  const router = express.Router();
+
+  // Jobs are visible only to the user who started them
+  const findOwnJob = req => {
+    const job = jobQueue.get(req.params.jobId);
+    if (!job || (job.payload.ownerId && job.payload.ownerId !== req.user?.id)) {
+      return null;
+    }
+    return job;
+  };
+
+  // Get the status of a background job
+  router.get('/jobs/:jobId', (req, res) => {
+    const job = findOwnJob(req);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      attempts: job.attempts,
+      retryable: job.status === 'failed' && !job.final,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    });
+  });
+
+  // Retry a failed job. Ingestion resumes, so chunks indexed on earlier attempts are kept
+  router.post('/jobs/:jobId/retry', (req, res) => {
+    try {
+      const existing = findOwnJob(req);
+      if (!existing) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      const job = jobQueue.retry(existing.id, existing.type === 'ingest-pdf' ? { mode: 'resume' } : {});
+
+      res.status(202).json({
+        message: 'Job queued for retry',
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`
+      });
+
+    } catch (error) {
+      console.error('Error retrying job:', error);
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -1 +1,79 @@
-// routes for user logins
\ No newline at end of file
+// routes for user logins
+const express = require('express');
+const { AuthError } = require('../controllers/userRegisterController');
+const {
+  REFRESH_COOKIE,
+  loginUser,
+  createSession,
+  refreshSession,
+  revokeSession,
+  setSessionCookies,
+  clearSessionCookies
+} = require('../controllers/userLogInController');
+const { requireAuth } = require('../middleware/authMiddleware');
+
+// Export router function
+module.exports = () => {
+  const router = express.Router();
+
+  const sendAuthError = (res, error, fallback) => {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ error: fallback });
+  };
+
+  // Sign in with { email, password }; sets the session cookies
+  router.post('/auth/login', async (req, res) => {
+    try {
+      const user = await loginUser(req.body || {});
+      const session = await createSession(user);
+      setSessionCookies(res, session);
+
+      res.json({ user });
+
+    } catch (error) {
+      sendAuthError(res, error, 'Failed to log in');
+    }
+  });
+
+  // Exchange the refresh cookie for a fresh pair of session cookies
+  router.post('/auth/refresh', async (req, res) => {
+    try {
+      const refreshToken = req.cookies[REFRESH_COOKIE];
+      if (!refreshToken) {
+        return res.status(401).json({ error: 'No session to refresh' });
+      }
+
+      const session = await refreshSession(refreshToken);
+      setSessionCookies(res, session);
+
+      res.json({ user: session.user });
+
+    } catch (error) {
+      clearSessionCookies(res);
+      sendAuthError(res, error, 'Failed to refresh session');
+    }
+  });
+
+  // Revoke the session and clear the cookies
+  router.post('/auth/logout', async (req, res) => {
+    try {
+      await revokeSession(req.cookies[REFRESH_COOKIE]);
+      clearSessionCookies(res);
+
+      res.json({ message: 'Logged out' });
+
+    } catch (error) {
+      sendAuthError(res, error, 'Failed to log out');
+    }
+  });
+
+  // The signed-in user
+  router.get('/auth/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+};
@@ -2,17 +2,38 @@ const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // Import helper functions
 const {
-  parsePortfolioCSV,
   validatePortfolioData,
-  calculatePortfolioMetrics,
+  valuePortfolio,
+  describeMissingFxRates,
+  DEFAULT_BASE_CURRENCY,
   generateInvestmentAdvice,
   analyzePortfolioRisk,
   getMarketTrends,
-  indexPortfolio
+  indexPortfolio,
+  addPortfolioAnnotation,
+  formatMoney
 } = require('../controllers/portfolioController');
+const { canViewUserData, canAnnotateUserData } = require('../controllers/accessControl');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { recordLLMCalls, recordAuditEntry } = require('../controllers/auditLog');
+const {
+  COST_BASIS_METHODS,
+  isTransactionLedger,
+  importTransactionLedger,
+  positionsToHoldingRows
+} = require('../controllers/transactionLedger');
+const { listJurisdictions, generateTaxReport, taxReportToCsv } = require('../controllers/taxReport');
+const {
+  readBrokerFile,
+  validateMapping,
+  isMappingStoreReady,
+  listSavedMappings,
+  saveMapping
+} = require('../controllers/brokerAdapters');
 
 // Multer configuration for CSV files
 const upload = multer({
@@ -43,12 +64,34 @@ const upload = multer({
   }
 });
 
-// Export router function
-module.exports = (esClient, model) => {
+// Export router function. marketData is the market data provider used to
+// value holdings and describe market conditions; fxRates converts holdings
+// into each portfolio's base currency
+module.exports = (esClient, llm, compliance, marketData, fxRates) => {
   const router = express.Router();
 
+  // Fetch a portfolio the caller may view (their own, an assigned client's, or
+  // any in their organization for compliance). Null when missing or not allowed.
+  async function getViewablePortfolio(portfolioId, user) {
+    let response;
+    try {
+      response = await esClient.get({ index: 'portfolios', id: portfolioId });
+    } catch (error) {
+      if (error.meta && error.meta.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+    if (!response.found) {
+      return null;
+    }
+
+    const portfolio = response._source;
+    return (await canViewUserData(user, portfolio.userId, portfolio.orgId)) ? portfolio : null;
+  }
+
   // Upload and analyze portfolio
-  router.post('/upload-portfolio', upload.single('portfolio'), async (req, res) => {
+  router.post('/upload-portfolio', requirePermission('data:write'), upload.single('portfolio'), async (req, res) => {
     try {
       if (!req.file) {
         return res.status(400).json({ error: 'No CSV file uploaded' });
@@ -56,10 +99,88 @@ module.exports = (esClient, model) => {
 
       console.log('Processing portfolio CSV:', req.file.filename);
       
+      // Without a baseCurrency, totals are in the holdings' own currency when
+      // they share one (see defaultBaseCurrency)
+      const baseCurrency = req.body.baseCurrency ? String(req.body.baseCurrency).trim().toUpperCase() : undefined;
+      if (baseCurrency && !/^[A-Z]{3}$/.test(baseCurrency)) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: 'baseCurrency must be a three-letter currency code' });
+      }
+
+      // Pick the column mapping: a saved one by name (mapping), one given
+      // with the upload (columns, as JSON, optionally saved as saveMappingAs),
+      // a built-in broker format (broker), or else detect it from the headers
+      const userId = req.user?.id || 'anonymous';
+      const savedMappings = isMappingStoreReady() ? await listSavedMappings(userId) : [];
+      let mapping = null;
+      if (req.body.mapping) {
+        mapping = savedMappings.find(saved => saved.name === req.body.mapping);
+        if (!mapping) {
+          fs.unlinkSync(req.file.path);
+          return res.status(400).json({ error: `No saved mapping named "${req.body.mapping}"` });
+        }
+      } else if (req.body.columns) {
+        let columns;
+        try {
+          columns = JSON.parse(req.body.columns);
+        } catch (error) {
+          columns = null;
+        }
+        mapping = { name: req.body.saveMappingAs || 'upload', kind: req.body.kind, columns, dateFormat: req.body.dateFormat };
+        const mappingErrors = columns && typeof columns === 'object' ? validateMapping(mapping) : ['columns must be a JSON object'];
+        if (mappingErrors.length > 0) {
+          fs.unlinkSync(req.file.path);
+          return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors });
+        }
+        if (req.body.saveMappingAs && isMappingStoreReady()) {
+          await saveMapping(userId, mapping);
+        }
+      }
+
       // Parse CSV file
-      const portfolioData = await parsePortfolioCSV(req.file.path);
+      let parsed;
+      try {
+        parsed = await readBrokerFile(req.file.path, { broker: req.body.broker, mapping, savedMappings });
+      } catch (error) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: error.message });
+      }
+      const rows = parsed.rows;
       console.log(1)
-      console.log('Portfolio parsed, records:', portfolioData.length);
+      console.log('Portfolio parsed, records:', rows.length, 'format:', parsed.adapter ? parsed.adapter.id : 'unknown');
+
+      // A transaction history (format=transactions, a transaction export or a
+      // type column) is replayed into positions; anything else is a holdings snapshot
+      let portfolioData = rows;
+      let ledger = null;
+      const isTransactions = (parsed.adapter && parsed.adapter.kind === 'transactions') || isTransactionLedger(rows);
+      if (req.body.format === 'transactions' || (req.body.format !== 'holdings' && isTransactions)) {
+        const costBasis = String(req.body.costBasis || 'fifo').toLowerCase();
+        if (!COST_BASIS_METHODS.includes(costBasis)) {
+          fs.unlinkSync(req.file.path);
+          return res.status(400).json({ error: `costBasis must be one of: ${COST_BASIS_METHODS.join(', ')}` });
+        }
+
+        const imported = importTransactionLedger(rows, { method: costBasis });
+        if (imported.errors.length > 0 || imported.positions.length === 0) {
+          fs.unlinkSync(req.file.path);
+          return res.status(400).json({
+            error: 'Invalid transaction history',
+            details: imported.errors.length > 0 ? imported.errors : ['No open positions remain after replaying the transactions']
+          });
+        }
+
+        portfolioData = positionsToHoldingRows(imported.positions);
+        ledger = {
+          costBasis,
+          transactions: imported.transactions,
+          realizedGain: parseFloat(imported.realized.reduce((sum, sale) => sum + sale.gain, 0).toFixed(2)),
+          dividends: parseFloat(imported.dividends.reduce((sum, dividend) => sum + dividend.amount, 0).toFixed(2)),
+          realized: imported.realized,
+          dividendPayments: imported.dividends
+        };
+        console.log(`Rebuilt ${imported.positions.length} positions from ${imported.transactions} transactions (${costBasis})`);
+      }
       
       // Validate data
       const validationErrors = validatePortfolioData(portfolioData);
@@ -74,8 +195,14 @@ module.exports = (esClient, model) => {
       console.log(2)
 
       
-      // Calculate portfolio metrics
-      const portfolioMetrics = calculatePortfolioMetrics(portfolioData);
+      // Calculate portfolio metrics at current market prices
+      const portfolioMetrics = await valuePortfolio(portfolioData, marketData, { baseCurrency, fxRates });
+      const missingRates = describeMissingFxRates(portfolioMetrics.summary);
+      if (missingRates) {
+        fs.unlinkSync(req.file.path);
+        return res.status(422).json({ error: missingRates, unconverted: portfolioMetrics.summary.fx.unconverted });
+      }
+      portfolioMetrics.ledger = ledger;
       console.log(3)
 
       
@@ -85,21 +212,37 @@ module.exports = (esClient, model) => {
 
       
       // Get market trends
-      const marketTrends = await getMarketTrends();
+      const marketTrends = await getMarketTrends(portfolioMetrics.portfolio, marketData);
       console.log(5)
       
-      // Generate AI investment advice
-      const investmentAdvice = await generateInvestmentAdvice(
+      // Generate AI investment advice and screen it before it is sent
+      const recorder = recordLLMCalls(llm);
+      const rawAdvice = await generateInvestmentAdvice(
         portfolioMetrics.summary, 
         marketTrends, 
-        model
+        recorder
       );
+      const screenedAdvice = compliance.screen(rawAdvice, 'advice');
       console.log(6)
 
+      await recordAuditEntry({
+        user: req.user,
+        action: 'portfolio-upload',
+        llm,
+        llmCalls: recorder.calls,
+        finalOutput: screenedAdvice.text,
+        compliance: { status: screenedAdvice.status, annotations: screenedAdvice.annotations },
+        metadata: {
+          filename: req.file.originalname,
+          format: parsed.adapter ? parsed.adapter.id : null,
+          summary: portfolioMetrics.summary,
+          costBasis: ledger ? ledger.costBasis : null
+        }
+      });
+
       
-      // Store in Elasticsearch (using filename as userId for now)
-      const userId = req.user?.id || 'anonymous';
-      await indexPortfolio(portfolioMetrics, req.file.filename, userId, esClient);
+      // Store in Elasticsearch
+      await indexPortfolio(portfolioMetrics, req.file.filename, userId, esClient, req.user?.orgId || null);
       console.log(7)
       
       // Clean up uploaded file
@@ -108,12 +251,15 @@ module.exports = (esClient, model) => {
       res.json({
         message: 'Portfolio analyzed successfully',
         filename: req.file.filename,
+        format: parsed.adapter,
         portfolio: {
           holdings: portfolioMetrics.portfolio,
           summary: portfolioMetrics.summary,
           riskAnalysis: riskAnalysis,
-          advice: investmentAdvice,
-          marketContext: marketTrends
+          advice: screenedAdvice.text,
+          compliance: { status: screenedAdvice.status, annotations: screenedAdvice.annotations },
+          marketContext: marketTrends,
+          ledger
         }
       });
       
@@ -136,17 +282,14 @@ module.exports = (esClient, model) => {
     try {
       const { portfolioId } = req.params;
       
-      const searchResponse = await esClient.get({
-        index: 'portfolios',
-        id: portfolioId
-      });
+      const portfolio = await getViewablePortfolio(portfolioId, req.user);
       
-      if (!searchResponse.body.found) {
+      if (!portfolio) {
         return res.status(404).json({ error: 'Portfolio not found' });
       }
       
       res.json({
-        portfolio: searchResponse.body._source
+        portfolio: portfolio
       });
       
     } catch (error) {
@@ -155,10 +298,15 @@ module.exports = (esClient, model) => {
     }
   });
 
-  // Get all portfolios for a user
+  // Get all portfolios for a user. Advisors and compliance officers can pass
+  // ?clientId= to list the portfolios of a client they may view.
   router.get('/portfolios', async (req, res) => {
     try {
-      const userId = req.user?.id || 'anonymous';
+      const userId = req.query.clientId || req.user?.id || 'anonymous';
+
+      if (!(await canViewUserData(req.user, userId))) {
+        return res.status(403).json({ error: 'You do not have access to this client' });
+      }
       
       const searchResponse = await esClient.search({
         index: 'portfolios',
@@ -194,27 +342,33 @@ module.exports = (esClient, model) => {
       const { specificQuestion } = req.body;
       
       // Fetch portfolio data
-      const searchResponse = await esClient.get({
-        index: 'portfolios',
-        id: portfolioId
-      });
+      const portfolioData = await getViewablePortfolio(portfolioId, req.user);
       
-      if (!searchResponse.body.found) {
+      if (!portfolioData) {
         return res.status(404).json({ error: 'Portfolio not found' });
       }
       
-      const portfolioData = searchResponse.body._source;
-      const marketTrends = await getMarketTrends();
+      // Value the holdings at today's prices and rates rather than those stored at upload
+      const valued = await valuePortfolio(portfolioData.portfolio, marketData, {
+        baseCurrency: portfolioData.summary.baseCurrency,
+        fxRates
+      });
+      const missingRates = describeMissingFxRates(valued.summary);
+      if (missingRates) {
+        return res.status(422).json({ error: missingRates, unconverted: valued.summary.fx.unconverted });
+      }
+      const { baseCurrency } = valued.summary;
+      const marketTrends = await getMarketTrends(valued.portfolio, marketData);
       
       let prompt = `Based on this portfolio data, please provide investment advice:
 
 Portfolio Summary:
-- Total Investment: $${portfolioData.summary.totalInvestment}
-- Current Value: $${portfolioData.summary.totalValue}
-- Total Gain/Loss: $${portfolioData.summary.totalGainLoss} (${portfolioData.summary.totalGainLossPercent}%)
+- Total Investment: ${formatMoney(valued.summary.totalInvestment, baseCurrency)}
+- Current Value: ${formatMoney(valued.summary.totalValue, baseCurrency)}
+- Total Gain/Loss: ${formatMoney(valued.summary.totalGainLoss, baseCurrency)} (${valued.summary.totalGainLossPercent}%)
 
 Asset Allocation:
-${Object.entries(portfolioData.summary.assetAllocation).map(([asset, percent]) => `- ${asset}: ${percent}%`).join('\n')}
+${Object.entries(valued.summary.assetAllocation).map(([asset, percent]) => `- ${asset}: ${percent}%`).join('\n')}
 
 Market Context:
 ${marketTrends}`;
@@ -223,16 +377,29 @@ ${marketTrends}`;
         prompt += `\n\nSpecific Question: ${specificQuestion}`;
       }
       
-      const advice = await generateInvestmentAdvice(
-        portfolioData.summary, 
+      const recorder = recordLLMCalls(llm);
+      const advice = compliance.screen(await generateInvestmentAdvice(
+        valued.summary, 
         marketTrends, 
-        model
-      );
+        recorder
+      ), 'advice');
+
+      await recordAuditEntry({
+        user: req.user,
+        action: 'portfolio-advice',
+        llm,
+        llmCalls: recorder.calls,
+        finalOutput: advice.text,
+        compliance: { status: advice.status, annotations: advice.annotations },
+        metadata: { portfolioId, portfolioOwner: portfolioData.userId, specificQuestion: specificQuestion || null }
+      });
       
       res.json({
-        advice: advice,
+        advice: advice.text,
+        compliance: { status: advice.status, annotations: advice.annotations },
         marketContext: marketTrends,
-        portfolioSummary: portfolioData.summary
+        portfolioSummary: valued.summary,
+        holdings: valued.portfolio
       });
       
     } catch (error) {
@@ -241,6 +408,53 @@ ${marketTrends}`;
     }
   });
 
+  // Capital-gains tax report of a portfolio. Query: jurisdiction (e.g. IN,
+  // US), taxYear (start year), asOf (YYYY-MM-DD) and format (json | csv)
+  router.get('/portfolio/:portfolioId/tax-report', async (req, res) => {
+    try {
+      const { portfolioId } = req.params;
+      const jurisdiction = String(req.query.jurisdiction || process.env.TAX_JURISDICTION || 'IN').toUpperCase();
+      const format = req.query.format || 'json';
+
+      if (!listJurisdictions().includes(jurisdiction)) {
+        return res.status(400).json({ error: `jurisdiction must be one of: ${listJurisdictions().join(', ')}` });
+      }
+      if (req.query.taxYear && !/^\d{4}$/.test(req.query.taxYear)) {
+        return res.status(400).json({ error: 'taxYear must be a four-digit year' });
+      }
+      if (req.query.asOf && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.asOf)) {
+        return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+      }
+      if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: 'format must be "csv" or "json"' });
+      }
+
+      const portfolio = await getViewablePortfolio(portfolioId, req.user);
+      if (!portfolio) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+      }
+
+      const report = await generateTaxReport(portfolio, {
+        jurisdiction,
+        taxYear: req.query.taxYear,
+        asOf: req.query.asOf,
+        marketData,
+        fxRates
+      });
+
+      if (format === 'csv') {
+        const filename = `tax-report-${jurisdiction.toLowerCase()}-${report.taxYear.startYear}.csv`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.type('text/csv').send(taxReportToCsv(report));
+      }
+      res.json({ report });
+
+    } catch (error) {
+      console.error('Error generating tax report:', error);
+      res.status(500).json({ error: 'Failed to generate tax report' });
+    }
+  });
+
   // Compare two portfolios
   router.post('/compare-portfolios', async (req, res) => {
     try {
@@ -251,30 +465,29 @@ ${marketTrends}`;
       }
       
       // Fetch both portfolios
-      const [portfolio1Response, portfolio2Response] = await Promise.all([
-        esClient.get({ index: 'portfolios', id: portfolio1Id }),
-        esClient.get({ index: 'portfolios', id: portfolio2Id })
+      const [portfolio1, portfolio2] = await Promise.all([
+        getViewablePortfolio(portfolio1Id, req.user),
+        getViewablePortfolio(portfolio2Id, req.user)
       ]);
       
-      if (!portfolio1Response.body.found || !portfolio2Response.body.found) {
+      if (!portfolio1 || !portfolio2) {
         return res.status(404).json({ error: 'One or both portfolios not found' });
       }
       
-      const portfolio1 = portfolio1Response.body._source;
-      const portfolio2 = portfolio2Response.body._source;
-      
       // Generate comparison analysis
       const comparisonPrompt = `Compare these two investment portfolios and provide insights:
 
 Portfolio 1:
-- Total Value: $${portfolio1.summary.totalValue}
+- Total Value: ${formatMoney(portfolio1.summary.totalValue, portfolio1.summary.baseCurrency || process.env.BASE_CURRENCY || 'USD')}
 - Total Gain/Loss: ${portfolio1.summary.totalGainLossPercent}%
 - Asset Allocation: ${JSON.stringify(portfolio1.summary.assetAllocation)}
+- Currency Exposure: ${JSON.stringify(portfolio1.summary.currencyAllocation || {})}
 
 Portfolio 2:
-- Total Value: $${portfolio2.summary.totalValue}
+- Total Value: ${formatMoney(portfolio2.summary.totalValue, portfolio2.summary.baseCurrency || process.env.BASE_CURRENCY || 'USD')}
 - Total Gain/Loss: ${portfolio2.summary.totalGainLossPercent}%
 - Asset Allocation: ${JSON.stringify(portfolio2.summary.assetAllocation)}
+- Currency Exposure: ${JSON.stringify(portfolio2.summary.currencyAllocation || {})}
 
 Provide:
 1. Performance comparison
@@ -282,11 +495,24 @@ Provide:
 3. Diversification analysis
 4. Recommendations for improvement`;
       
-      const result = await model.generateContent(comparisonPrompt);
-      const comparison = await result.response;
+      const rawComparison = await llm.generate(comparisonPrompt);
+      const comparison = compliance.screen(rawComparison, 'comparison');
+
+      await recordAuditEntry({
+        user: req.user,
+        action: 'portfolio-comparison',
+        llm,
+        prompt: comparisonPrompt,
+        llmCalls: [{ prompt: comparisonPrompt, output: rawComparison }],
+        rawOutput: rawComparison,
+        finalOutput: comparison.text,
+        compliance: { status: comparison.status, annotations: comparison.annotations },
+        metadata: { portfolio1Id, portfolio2Id }
+      });
       
       res.json({
-        comparison: comparison.text(),
+        comparison: comparison.text,
+        compliance: { status: comparison.status, annotations: comparison.annotations },
         portfolio1Summary: portfolio1.summary,
         portfolio2Summary: portfolio2.summary
       });
@@ -297,10 +523,52 @@ Provide:
     }
   });
 
-  // Delete a portfolio
-  router.delete('/portfolio/:portfolioId', async (req, res) => {
+  // Annotate a client's portfolio (advisors, for clients assigned to them). Body: { note }
+  router.post('/portfolio/:portfolioId/annotations', requirePermission('portfolios:annotate:assigned'), async (req, res) => {
     try {
       const { portfolioId } = req.params;
+      const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+      if (!note) {
+        return res.status(400).json({ error: 'note is required' });
+      }
+
+      const portfolio = await getViewablePortfolio(portfolioId, req.user);
+      if (!portfolio) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+      }
+      if (!(await canAnnotateUserData(req.user, portfolio.userId))) {
+        return res.status(403).json({ error: 'Only the assigned advisor can annotate this portfolio' });
+      }
+
+      const annotation = await addPortfolioAnnotation(portfolioId, {
+        id: crypto.randomUUID(),
+        authorId: req.user.id,
+        authorName: req.user.name || req.user.email,
+        note,
+        createdAt: new Date().toISOString()
+      }, esClient);
+
+      res.status(201).json({ annotation });
+
+    } catch (error) {
+      console.error('Error annotating portfolio:', error);
+      res.status(500).json({ error: 'Failed to annotate portfolio' });
+    }
+  });
+
+  // Delete a portfolio. Only its owner can delete it
+  router.delete('/portfolio/:portfolioId', requirePermission('data:write'), async (req, res) => {
+    try {
+      const { portfolioId } = req.params;
+
+      const portfolio = await getViewablePortfolio(portfolioId, req.user);
+      if (!portfolio) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+      }
+      if (portfolio.userId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the owner can delete this portfolio' });
+      }
       
       await esClient.delete({
         index: 'portfolios',
@@ -320,6 +588,8 @@ Provide:
     try {
       const userId = req.user?.id || 'anonymous';
       
+      // Portfolio totals are in each portfolio's base currency, so they are summed
+      // per currency; portfolios saved without one are in the default currency
       const searchResponse = await esClient.search({
         index: 'portfolios',
         body: {
@@ -327,14 +597,23 @@ Provide:
             term: { userId: userId }
           },
           aggs: {
-            total_value: {
-              sum: {
-                field: 'summary.totalValue'
-              }
-            },
-            total_investment: {
-              sum: {
-                field: 'summary.totalInvestment'
+            by_currency: {
+              terms: {
+                field: 'summary.baseCurrency',
+                missing: DEFAULT_BASE_CURRENCY,
+                size: 100
+              },
+              aggs: {
+                total_value: {
+                  sum: {
+                    field: 'summary.totalValue'
+                  }
+                },
+                total_investment: {
+                  sum: {
+                    field: 'summary.totalInvestment'
+                  }
+                }
               }
             },
             avg_return: {
@@ -352,15 +631,29 @@ Provide:
         }
       });
       
-      const aggregations = searchResponse.body.aggregations;
+      const aggregations = searchResponse.aggregations;
+      const currencies = aggregations.by_currency.buckets.map(bucket => ({
+        currency: bucket.key,
+        portfolios: bucket.doc_count,
+        totalValue: Math.round(bucket.total_value.value || 0),
+        totalInvestment: Math.round(bucket.total_investment.value || 0),
+        totalGainLoss: Math.round((bucket.total_value.value || 0) - (bucket.total_investment.value || 0))
+      }));
+
+      // Overall totals are only given when every portfolio shares one currency
+      const combined = currencies.length > 1
+        ? null
+        : currencies[0] || { currency: null, totalValue: 0, totalInvestment: 0, totalGainLoss: 0 };
       
       res.json({
         dashboard: {
           totalPortfolios: aggregations.portfolio_count.value,
-          totalValue: Math.round(aggregations.total_value.value || 0),
-          totalInvestment: Math.round(aggregations.total_investment.value || 0),
+          baseCurrency: combined?.currency ?? null,
+          totalValue: combined?.totalValue ?? null,
+          totalInvestment: combined?.totalInvestment ?? null,
           averageReturn: Math.round((aggregations.avg_return.value || 0) * 100) / 100,
-          totalGainLoss: Math.round((aggregations.total_value.value || 0) - (aggregations.total_investment.value || 0))
+          totalGainLoss: combined?.totalGainLoss ?? null,
+          currencies
         }
       });
       
@@ -4,12 +4,42 @@ const fs = require('fs');
 
 // Import helper functions
 const {
-  chunkText,
-  indexDocument,
+  chunkingStrategies,
+  documentParsers,
+  findDocumentParser,
   searchSimilarChunks,
-  parsePdfFile,
-  generateGeminiResponse
+  buildAnswerPrompt,
+  generateGeminiResponse,
+  streamGeminiResponse
 } = require('../controllers/documentController');
+const { buildCitations } = require('../controllers/citations');
+const { verifyAnswer } = require('../controllers/groundednessVerifier');
+const { rerankChunks } = require('../controllers/reranker');
+const { sentenceSpans } = require('../controllers/chunker');
+const { detectPii, redactText } = require('../controllers/piiRedactor');
+const {
+  hashFile,
+  parseTags,
+  VISIBILITIES,
+  getDocumentRecord,
+  canReadDocument,
+  canManageDocument,
+  findDocumentByHash,
+  listDocumentRecords,
+  createDocumentVersion,
+  setVersionJob,
+  setDocumentVisibility,
+  deleteDocument
+} = require('../controllers/documentRegistry');
+const { hasPermission } = require('../controllers/accessControl');
+const { recordLLMCalls, describeRetrievedChunks, recordAuditEntry } = require('../controllers/auditLog');
+const { requirePermission } = require('../middleware/authMiddleware');
+const {
+  isConversationStoreReady,
+  getConversation,
+  rewriteFollowUpQuestion,
+  recordConversationTurn
+} = require('../controllers/conversationController');
 
 // Multer configuration
 const upload = multer({
@@ -25,85 +55,322 @@ const upload = multer({
     },
   }),
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (findDocumentParser(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      const extensions = documentParsers.flatMap(parser => parser.extensions).join(', ');
+      cb(new Error(`Unsupported file type. Allowed: ${extensions}`), false);
     }
   }
 });
 
-// Export a function that takes esClient and model as parameters
-module.exports = (esClient, model) => {
+const NO_RESULTS_ANSWER = "I couldn't find any relevant information in the uploaded documents.";
+
+// Who is asking: documents are scoped to the user and their organization.
+// Compliance officers can read every document in their organization.
+function getCaller(req) {
+  return {
+    userId: req.user?.id || 'anonymous',
+    orgId: req.user?.orgId || null,
+    organizationWide: hasPermission(req.user, 'documents:read:organization')
+  };
+}
+
+// Export a function that takes esClient, the LLM client, the job queue and the
+// compliance engine as parameters
+module.exports = (esClient, llm, jobQueue, compliance) => {
   const router = express.Router();
 
-  // Upload and process PDF
-  router.post('/upload-pdf', upload.single('pdf'), async (req, res) => {
+  // Upload a document (PDF, DOCX, HTML, Markdown, TXT or XLSX) and queue it
+  // for background ingestion. The form field is still called `pdf`.
+  // Optional fields: title, tags (comma separated), documentType, visibility
+  // ('private' or 'organization'), and documentId to upload a new version of
+  // an existing document.
+  router.post('/upload-pdf', requirePermission('data:write'), upload.single('pdf'), async (req, res) => {
     try {
       if (!req.file) {
-        return res.status(400).json({ error: 'No PDF file uploaded' });
+        return res.status(400).json({ error: 'No file uploaded' });
       }
 
-      console.log('Processing PDF:', req.file.filename);
-      
-      // Read and parse PDF using helper function
-      const pdfText = await parsePdfFile(req.file.path);
-      console.log('PDF parsed, text length:', pdfText.length);
-      
-      // Chunk the text using helper function
-      const chunks = chunkText(pdfText);
-      console.log('Created chunks:', chunks.length);
-      
-      // Index chunks in Elasticsearch using helper function
-      await indexDocument(chunks, req.file.filename, esClient);
+      console.log('Queueing document:', req.file.originalname, '->', req.file.filename);
+
+      const strategy = req.body.chunkStrategy || process.env.CHUNK_STRATEGY || 'structured';
+      if (!chunkingStrategies[strategy]) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          error: `Unknown chunkStrategy "${strategy}". Expected one of: ${Object.keys(chunkingStrategies).join(', ')}`
+        });
+      }
+
+      // `piiMode=mask` replaces personal data with placeholders, `piiMode=reject` refuses the file
+      const piiMode = req.body.piiMode || process.env.PII_MODE || 'mask';
+      if (!['mask', 'reject'].includes(piiMode)) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: 'piiMode must be "mask" or "reject"' });
+      }
       
-      // Clean up uploaded file
-      fs.unlinkSync(req.file.path);
+      const caller = getCaller(req);
+      const visibility = req.body.visibility || 'private';
+      if (!VISIBILITIES.includes(visibility) || (visibility === 'organization' && !caller.orgId)) {
+        fs.unlinkSync(req.file.path);
+        return res.status(400).json({ error: 'visibility must be "private", or "organization" for users in an organization' });
+      }
+
+      let record = null;
+      if (req.body.documentId) {
+        record = await getDocumentRecord(req.body.documentId, esClient);
+        if (!record || !canReadDocument(record, caller)) {
+          fs.unlinkSync(req.file.path);
+          return res.status(404).json({ error: 'Document not found' });
+        }
+        if (!canManageDocument(record, caller)) {
+          fs.unlinkSync(req.file.path);
+          return res.status(403).json({ error: 'Only the owner can upload new versions of this document' });
+        }
+      }
+
+      // Identical files are detected by content hash, whatever their name
+      const contentHash = await hashFile(req.file.path);
+      const duplicate = await findDocumentByHash(contentHash, esClient, caller.userId);
+      if (duplicate) {
+        fs.unlinkSync(req.file.path);
+        const version = duplicate.versions.find(entry => entry.contentHash === contentHash && entry.status !== 'failed');
+        return res.status(409).json({
+          error: 'This file has already been uploaded',
+          documentId: duplicate.documentId,
+          version: version ? version.version : null
+        });
+      }
+
+      const documentType = req.body.documentType ? String(req.body.documentType).toLowerCase() : null;
+      const { record: saved, version } = await createDocumentVersion(record, {
+        originalName: req.file.originalname,
+        title: req.body.title ? String(req.body.title).trim() : null,
+        uploader: caller.userId,
+        orgId: caller.orgId,
+        visibility,
+        tags: parseTags(req.body.tags),
+        mimetype: req.file.mimetype,
+        documentType,
+        contentHash
+      }, esClient);
+
+      // Pass `onFailure=resume` to keep whatever was indexed if some chunks
+      // fail; the job can then be retried to finish the rest.
+      const job = jobQueue.enqueue('ingest-pdf', {
+        filePath: req.file.path,
+        filename: req.file.originalname,
+        mimetype: req.file.mimetype,
+        originalname: req.file.originalname,
+        mode: req.body.onFailure === 'resume' ? 'resume' : 'rollback',
+        strategy,
+        piiMode,
+        documentType: documentType || saved.documentType,
+        documentId: saved.documentId,
+        version,
+        ownerId: saved.ownerId,
+        orgId: saved.orgId,
+        visibility: saved.visibility
+      });
+      await setVersionJob(saved, version, job.id, esClient);
       
-      res.json({
-        message: 'PDF processed successfully',
-        filename: req.file.filename,
-        chunks: chunks.length,
-        textLength: pdfText.length
+      res.status(202).json({
+        message: 'Document accepted for processing',
+        jobId: job.id,
+        documentId: saved.documentId,
+        version,
+        filename: job.payload.filename,
+        chunkStrategy: strategy,
+        piiMode,
+        statusUrl: `/api/jobs/${job.id}`
       });
       
     } catch (error) {
-      console.error('Error processing PDF:', error);
+      console.error('Error queueing document:', error);
+
+      // Clean up file if it exists
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+
       res.status(500).json({ error: 'Failed to process PDF: ' + error.message });
     }
   });
 
+  // Steps shared by /query and /query/stream: resolve the conversation, rewrite
+  // follow-ups, retrieve and re-rank. Returns { status, error } for bad input.
+  // `llm` is the request's recording client, so these calls are audited too.
+  async function prepareQuery({ question, filters = {}, conversationId }, caller, llm) {
+    const { userId } = caller;
+    if (!question) {
+      return { status: 400, error: 'Question is required' };
+    }
+
+    // Optional filters: { documentIds, filenames, documentTypes, dateFrom, dateTo }
+    for (const field of ['dateFrom', 'dateTo']) {
+      if (filters[field] && Number.isNaN(Date.parse(filters[field]))) {
+        return { status: 400, error: `filters.${field} must be a valid date` };
+      }
+    }
+
+    // Continue an existing conversation, or start a new one when the store is available
+    const storeReady = isConversationStoreReady();
+    let conversation = null;
+    if (conversationId) {
+      if (!storeReady) {
+        return { status: 503, error: 'Conversation store is not available' };
+      }
+      conversation = await getConversation(conversationId, userId);
+      if (!conversation) {
+        return { status: 404, error: 'Conversation not found' };
+      }
+    }
+
+    console.log('Processing query:', question);
+
+    // Rewrite follow-ups ("what about its exit load?") into a standalone query
+    const standaloneQuestion = conversation
+      ? await rewriteFollowUpQuestion(conversation.messages, question, llm)
+      : question;
+
+    // Over-fetch with hybrid keyword + vector retrieval, then de-duplicate,
+    // diversify and trim to the context token budget
+    const candidates = await searchSimilarChunks(standaloneQuestion, esClient, 20, {
+      filters,
+      caller,
+      includeEmbeddings: true
+    });
+    const relevantChunks = await rerankChunks(standaloneQuestion, candidates, { llm });
+
+    const sources = relevantChunks.map((chunk, i) => ({
+      marker: i + 1,
+      documentId: chunk.documentId,
+      filename: chunk.filename,
+      section: chunk.section,
+      page: chunk.page,
+      snippet: chunk.content.substring(0, 200) + '...',
+      score: chunk.score
+    }));
+
+    return { storeReady, conversation, standaloneQuestion, relevantChunks, sources };
+  }
+
+  // Check a generated answer against the retrieved chunks, mask any personal
+  // data, screen it against the compliance rule packs and map its citations.
+  // Returns { answer, citations, compliance, verification } ready to send.
+  function finalizeAnswer(rawAnswer, relevantChunks) {
+    if (relevantChunks.length === 0) {
+      return { answer: rawAnswer, citations: [], compliance: null, verification: verifyAnswer(rawAnswer, []).verification };
+    }
+
+    // Unsupported claims are removed or flagged; too little support means declining to answer
+    const { answer: verified, verification } = verifyAnswer(rawAnswer, relevantChunks);
+    const { text: redacted } = redactText(verified);
+    const screened = compliance.screen(redacted, 'answer');
+    return {
+      answer: screened.text,
+      citations: screened.status === 'blocked' || verification.abstained ? [] : buildCitations(redacted, relevantChunks),
+      compliance: { status: screened.status, annotations: screened.annotations },
+      verification
+    };
+  }
+
+  // Function to find how much of the unreleased text can be streamed before the
+  // answer is verified: the complete sentences at its start (the last one may
+  // still be growing) that match no forbidden compliance rule and hold no PII.
+  // Returns { length, held } where `held` means a sentence failed screening.
+  function releasableLength(pending) {
+    let length = 0;
+    for (const { end } of sentenceSpans(pending).slice(0, -1)) {
+      const sentence = pending.slice(length, end);
+      if (compliance.screen(sentence, 'answer', { partial: true }).status !== 'passed' || detectPii(sentence).length > 0) {
+        return { length, held: true };
+      }
+      length = end;
+    }
+    return { length, held: false };
+  }
+
+  // Append the interaction to the audit log
+  function auditQuery(action, req, params, prepared, recorder, { rawAnswer, answer, compliance: complianceResult, conversationId, ...metadata }) {
+    return recordAuditEntry({
+      user: req.user,
+      action,
+      llm,
+      llmCalls: recorder.calls,
+      prompt: prepared.relevantChunks.length > 0 ? buildAnswerPrompt(prepared.standaloneQuestion, prepared.relevantChunks) : null,
+      retrieved: describeRetrievedChunks(prepared.relevantChunks),
+      rawOutput: rawAnswer,
+      finalOutput: answer,
+      compliance: complianceResult,
+      metadata: {
+        question: params.question,
+        standaloneQuestion: prepared.standaloneQuestion,
+        filters: params.filters || {},
+        conversationId: conversationId ? String(conversationId) : null,
+        ...metadata
+      }
+    });
+  }
+
+  // Store the turn; a storage failure should not lose the answer
+  async function saveTurn(prepared, userId, question, answer, citations) {
+    if (!prepared.storeReady) {
+      return null;
+    }
+    try {
+      const saved = await recordConversationTurn(prepared.conversation, userId, {
+        question,
+        standaloneQuestion: prepared.standaloneQuestion,
+        answer,
+        citations,
+        sources: prepared.sources
+      });
+      return saved._id;
+    } catch (error) {
+      console.error('Error saving conversation turn:', error);
+      return null;
+    }
+  }
+
   // Query the RAG system
   router.post('/query', async (req, res) => {
     try {
-      const { question } = req.body;
-      
-      if (!question) {
-        return res.status(400).json({ error: 'Question is required' });
+      const caller = getCaller(req);
+      const { userId } = caller;
+      const recorder = recordLLMCalls(llm);
+      const prepared = await prepareQuery(req.body, caller, recorder);
+      if (prepared.error) {
+        return res.status(prepared.status).json({ error: prepared.error });
       }
       
-      console.log('Processing query:', question);
-      
-      // Search for relevant chunks using helper function
-      const relevantChunks = await searchSimilarChunks(question, esClient, 3);
-      
-      if (relevantChunks.length === 0) {
-        return res.json({
-          answer: "I couldn't find any relevant information in the uploaded documents.",
-          sources: []
-        });
+      let rawAnswer = NO_RESULTS_ANSWER;
+      if (prepared.relevantChunks.length > 0) {
+        // Generate response using the LLM helper function
+        rawAnswer = await generateGeminiResponse(prepared.standaloneQuestion, prepared.relevantChunks, recorder);
       }
-      
-      // Generate response using Gemini helper function
-      const answer = await generateGeminiResponse(question, relevantChunks, model);
+      const { answer, citations, compliance: complianceResult, verification } = finalizeAnswer(rawAnswer, prepared.relevantChunks);
+
+      const conversationId = await saveTurn(prepared, userId, req.body.question, answer, citations);
+
+      // Nothing is returned unless the interaction was recorded
+      await auditQuery('query', req, req.body, prepared, recorder, {
+        rawAnswer,
+        answer,
+        compliance: complianceResult,
+        conversationId,
+        verification
+      });
       
       res.json({
         answer: answer,
-        sources: relevantChunks.map(chunk => ({
-          filename: chunk.filename,
-          snippet: chunk.content.substring(0, 200) + '...',
-          score: chunk.score
-        }))
+        confidence: verification.confidence,
+        verification: verification,
+        citations: citations,
+        compliance: complianceResult,
+        sources: prepared.sources,
+        conversationId: conversationId,
+        standaloneQuestion: prepared.standaloneQuestion
       });
       
     } catch (error) {
@@ -112,28 +379,167 @@ module.exports = (esClient, model) => {
     }
   });
 
-  // Get all indexed documents
-  router.get('/documents', async (req, res) => {
+  // Stream a RAG answer as Server-Sent Events:
+  //   event: sources    -> { sources, standaloneQuestion }
+  //   event: delta      -> { text }
+  //   event: correction -> { answer }
+  //   event: done       -> { answer, confidence, verification, citations, compliance, usage, conversationId }
+  //   event: error      -> { error }
+  // Sources are sent once retrieval finishes. Deltas carry whole sentences,
+  // each released only after it passes compliance and PII screening; the first
+  // sentence that fails holds back the rest of the generation. The full answer
+  // is then verified and screened: if it no longer starts with what was
+  // streamed, `correction` replaces the streamed text. The interaction is
+  // recorded in the audit log before `done`.
+  // GET takes ?question=&conversationId=&filters=<json> (for EventSource);
+  // POST takes the same JSON body as /query. Closing the connection cancels generation.
+  const streamQuery = async (req, res) => {
+    const caller = getCaller(req);
+    const { userId } = caller;
+    let params = req.body || {};
+    if (req.method === 'GET') {
+      try {
+        params = {
+          question: req.query.question,
+          conversationId: req.query.conversationId,
+          filters: req.query.filters ? JSON.parse(req.query.filters) : {}
+        };
+      } catch (error) {
+        return res.status(400).json({ error: 'filters must be valid JSON' });
+      }
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    const send = (event, data) => {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    const recorder = recordLLMCalls(llm);
+
     try {
-      const searchResponse = await esClient.search({
-        index: 'documents',
-        body: {
-          query: { match_all: {} },
-          aggs: {
-            by_filename: {
-              terms: {
-                field: 'filename.keyword',
-                size: 100
+      const prepared = await prepareQuery(params, caller, recorder);
+      if (prepared.error) {
+        return res.status(prepared.status).json({ error: prepared.error });
+      }
+      if (controller.signal.aborted) {
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      send('sources', { sources: prepared.sources, standaloneQuestion: prepared.standaloneQuestion });
+
+      let rawAnswer = NO_RESULTS_ANSWER;
+      let usage = null;
+      let streamed = '';
+      if (prepared.relevantChunks.length > 0) {
+        rawAnswer = '';
+        let released = 0;
+        let held = false;
+        const events = streamGeminiResponse(prepared.standaloneQuestion, prepared.relevantChunks, recorder, {
+          signal: controller.signal
+        });
+        for await (const event of events) {
+          if (event.delta) {
+            rawAnswer += event.delta;
+            if (!held) {
+              const increment = releasableLength(rawAnswer.slice(released));
+              held = increment.held;
+              if (increment.length > 0) {
+                const text = rawAnswer.slice(released, released + increment.length);
+                released += increment.length;
+                const delta = streamed ? text : text.trimStart();
+                streamed += delta;
+                send('delta', { text: delta });
               }
             }
-          },
-          size: 0
+          } else if (event.usage) {
+            usage = event.usage;
+          }
         }
+      }
+
+      // The client went away: drop the partial answer instead of saving it,
+      // but record what was generated before the cancellation
+      if (controller.signal.aborted) {
+        console.log('Query stream cancelled by client');
+        await auditQuery('query-stream', req, params, prepared, recorder, { rawAnswer, usage, cancelled: true });
+        return;
+      }
+
+      const { answer, citations, compliance: complianceResult, verification } = finalizeAnswer(rawAnswer, prepared.relevantChunks);
+
+      // Send the rest of the checked answer, or replace what was streamed when
+      // verification or screening changed it
+      const corrected = !answer.startsWith(streamed);
+      if (corrected) {
+        send('correction', { answer });
+      } else if (answer.length > streamed.length) {
+        send('delta', { text: answer.slice(streamed.length) });
+      }
+
+      const conversationId = await saveTurn(prepared, userId, params.question, answer, citations);
+
+      await auditQuery('query-stream', req, params, prepared, recorder, {
+        rawAnswer,
+        answer,
+        compliance: complianceResult,
+        conversationId,
+        usage,
+        verification,
+        corrected
       });
-      
-      const documents = searchResponse.body.aggregations.by_filename.buckets.map(bucket => ({
-        filename: bucket.key,
-        chunks: bucket.doc_count
+
+      send('done', {
+        answer,
+        confidence: verification.confidence,
+        verification,
+        citations,
+        compliance: complianceResult,
+        usage,
+        conversationId
+      });
+      res.end();
+
+    } catch (error) {
+      console.error('Error streaming query:', error);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: 'Failed to process query: ' + error.message });
+      }
+      send('error', { error: 'Failed to process query: ' + error.message });
+      res.end();
+    }
+  };
+
+  router.get('/query/stream', streamQuery);
+  router.post('/query/stream', streamQuery);
+
+  // List the documents the caller can read: their own and those shared with
+  // their organization. Optional ?scope=mine|organization, ?tag= and ?documentType=
+  router.get('/documents', async (req, res) => {
+    try {
+      const records = await listDocumentRecords(esClient, getCaller(req), {
+        scope: req.query.scope,
+        tag: req.query.tag,
+        documentType: req.query.documentType
+      });
+
+      const documents = records.map(({ versions, contentHashes, titleSource, ...record }) => ({
+        ...record,
+        versions: versions.length
       }));
       
       res.json({ documents });
@@ -144,21 +550,68 @@ module.exports = (esClient, model) => {
     }
   });
 
-  // Delete a document
-  router.delete('/documents/:filename', async (req, res) => {
+  // Get one document with its version history
+  router.get('/documents/:documentId', async (req, res) => {
     try {
-      const { filename } = req.params;
+      const record = await getDocumentRecord(req.params.documentId, esClient);
+      if (!record || !canReadDocument(record, getCaller(req))) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      const { contentHashes, titleSource, ...document } = record;
+      res.json({ document });
+
+    } catch (error) {
+      console.error('Error fetching document:', error);
+      res.status(500).json({ error: 'Failed to fetch document' });
+    }
+  });
+
+  // Share a document with the owner's organization ({ visibility: 'organization' })
+  // or make it private again ({ visibility: 'private' })
+  router.post('/documents/:documentId/sharing', requirePermission('data:write'), async (req, res) => {
+    try {
+      const caller = getCaller(req);
+      const { visibility } = req.body;
+
+      const record = await getDocumentRecord(req.params.documentId, esClient);
+      if (!record || !canReadDocument(record, caller)) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      if (!canManageDocument(record, caller)) {
+        return res.status(403).json({ error: 'Only the owner can change sharing' });
+      }
+      if (!VISIBILITIES.includes(visibility) || (visibility === 'organization' && !record.orgId)) {
+        return res.status(400).json({ error: 'visibility must be "private", or "organization" for documents owned within an organization' });
+      }
+
+      await setDocumentVisibility(record, visibility, esClient);
+
+      res.json({ documentId: record.documentId, visibility });
+
+    } catch (error) {
+      console.error('Error updating document sharing:', error);
+      res.status(500).json({ error: 'Failed to update document sharing' });
+    }
+  });
+
+  // Delete a document, all of its versions and their chunks. Only the owner can delete
+  router.delete('/documents/:documentId', requirePermission('data:write'), async (req, res) => {
+    try {
+      const { documentId } = req.params;
+      const caller = getCaller(req);
+
+      const record = await getDocumentRecord(documentId, esClient);
+      if (!record || !canReadDocument(record, caller)) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      if (!canManageDocument(record, caller)) {
+        return res.status(403).json({ error: 'Only the owner can delete this document' });
+      }
       
-      await esClient.deleteByQuery({
-        index: 'documents',
-        body: {
-          query: {
-            term: { 'filename.keyword': filename }
-          }
-        }
-      });
+      await deleteDocument(documentId, esClient);
       
-      res.json({ message: `Document ${filename} deleted successfully` });
+      res.json({ message: `Document ${record.title} deleted successfully`, documentId });
       
     } catch (error) {
       console.error('Error deleting document:', error);
@@ -1 +1,30 @@
-// Routes for registering user
\ No newline at end of file
+// Routes for registering user
+const express = require('express');
+const { AuthError, registerUser } = require('../controllers/userRegisterController');
+const { createSession, setSessionCookies } = require('../controllers/userLogInController');
+
+// Export router function
+module.exports = () => {
+  const router = express.Router();
+
+  // Create an account and sign it in. Body: { email, password, name,
+  // organizationName } to start a new organization, or { ..., inviteCode } to join one
+  router.post('/auth/register', async (req, res) => {
+    try {
+      const { user, organization } = await registerUser(req.body || {});
+      const session = await createSession(user);
+      setSessionCookies(res, session);
+
+      res.status(201).json({ user, organization });
+
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error registering user:', error);
+      res.status(500).json({ error: 'Failed to register user' });
+    }
+  });
+
+  return router;
+};
@@ -1,6 +1,7 @@
 const express = require("express")
 const PORT = process.env.PORT || 8000;
 const ConnectDB = require("./ConnectDB");
+const { connectToMongo, connectToPostgresSQL } = ConnectDB;
 const cors = require('cors');
 const bodyParser = require('body-parser')
 require('dotenv').config();
@@ -8,23 +9,47 @@ require('dotenv').config();
 // JWT related imports
 const cookieParser = require('cookie-parser');
 const http = require('http');
-const jwt = require('jsonwebtoken');
+const { authenticate, requireAuth } = require('./middleware/authMiddleware');
+const { initializeUserTables } = require('./controllers/userRegisterController');
+const { initializeAccessTables } = require('./controllers/accessControl');
+const { initializeAuditLog } = require('./controllers/auditLog');
 
 // RAG related imports
 const fs = require('fs');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { Client } = require('@elastic/elasticsearch');
 
 // Import helper functions
-const { initializeElasticsearch } = require('./controllers/documentController');
+const { initializeElasticsearch, getEmbeddingProvider, discardUpload } = require('./controllers/documentController');
+const { createLLMClient } = require('./controllers/llmClient');
+const { createJobQueue } = require('./controllers/jobQueue');
+const { createComplianceEngine } = require('./controllers/complianceEngine');
+const { initializeDocumentRegistry, ingestRegisteredDocument } = require('./controllers/documentRegistry');
+const { createMarketDataProvider } = require('./controllers/marketData');
+const { createFxRates } = require('./controllers/fxRates');
 
 // Import routes
 const ragRoutes = require('./routes/ragRoutes');
 const portfolioRoutes = require("./routes/portfolioRoutes");
+const jobRoutes = require('./routes/jobRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const registerUserRoutes = require('./routes/registerUserRoutes');
+const logUserRoutes = require('./routes/logUserRoutes');
+const accessRoutes = require('./routes/accessRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const brokerMappingRoutes = require('./routes/brokerMappingRoutes');
 
 // Initialize services
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+// LLM client (provider and model come from LLM_* environment variables)
+const llm = createLLMClient();
+
+// Compliance rule packs applied to every generated answer and piece of advice
+const compliance = createComplianceEngine();
+
+// Market data used to value portfolios (provider and price file come from MARKET_DATA_* environment variables)
+const marketData = createMarketDataProvider();
+
+// FX rates for base-currency totals (FX_RATES_FILE, then currency pairs in the market data)
+const fxRates = createFxRates({ marketData });
 
 // Elasticsearch client
 
@@ -40,6 +65,13 @@ const esClient = new Client({
 });
 
 
+// MongoDB stores chat conversations and saved broker column mappings
+connectToMongo();
+
+// PostgreSQL stores users, organizations and sessions
+connectToPostgresSQL();
+
+
 // Server by express
 const app = express()
 
@@ -55,34 +87,61 @@ app.use(express.json());
 app.use(bodyParser.json());
 app.use(express.urlencoded({extended: false}));
 app.use(cookieParser());
+app.use(authenticate);
 
 // Create data directory if it doesn't exist
 if (!fs.existsSync('data')) {
   fs.mkdirSync('data');
 }
 
+// Background ingestion queue (persisted in data/jobs.json)
+const jobQueue = createJobQueue({
+  storePath: 'data/jobs.json',
+  concurrency: parseInt(process.env.INGEST_CONCURRENCY, 10) || 1,
+  maxAttempts: parseInt(process.env.INGEST_MAX_ATTEMPTS, 10) || 3
+});
+jobQueue.register('ingest-pdf', (job, update) => ingestRegisteredDocument(job.payload, esClient, update), {
+  onFinalFailure: job => discardUpload(job.payload.filePath)
+});
+
 // Basic greeting endpoint
 app.get("/api/greet", (req, res) => {
   res.json({ message: "Hello from RAG System!" });
 });
 
-// Use RAG routes
-app.use('/api', ragRoutes(esClient, model));
-app.use('/api', portfolioRoutes(esClient, model));
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
+  const embeddingProvider = getEmbeddingProvider();
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
     services: {
       elasticsearch: 'Connected',
-      gemini: 'Ready',
-      huggingface: 'Ready'
+      llm: `${llm.provider} (${llm.model})`,
+      compliance: compliance.packs,
+      marketData: marketData.name,
+      fxRates: fxRates.source,
+      embeddings: `${embeddingProvider.name} (${embeddingProvider.dimension} dims)`
     }
   });
 });
 
+// Sign up, log in, refresh and log out
+app.use('/api', registerUserRoutes());
+app.use('/api', logUserRoutes());
+
+// Everything below requires a signed-in user
+app.use('/api', requireAuth);
+
+// Use RAG routes
+app.use('/api', ragRoutes(esClient, llm, jobQueue, compliance));
+app.use('/api', jobRoutes(jobQueue));
+app.use('/api', conversationRoutes());
+app.use('/api', portfolioRoutes(esClient, llm, compliance, marketData, fxRates));
+app.use('/api', accessRoutes());
+app.use('/api', auditRoutes());
+app.use('/api', brokerMappingRoutes());
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Global error handler:', error);
@@ -104,4 +163,13 @@ app.use((error, req, res, next) => {
 app.listen(PORT, async () => {
   console.log(`🚀 Server started at http://localhost:${PORT}`);
   await initializeElasticsearch(esClient);
+  await initializeDocumentRegistry(esClient);
+  try {
+    await initializeUserTables();
+    await initializeAccessTables();
+    await initializeAuditLog();
+  } catch (error) {
+    console.error('Sign-in and the audit log are unavailable until PostgreSQL is reachable');
+  }
+  jobQueue.start();
 });
\ No newline at end of file